@@ -0,0 +1,64 @@
+/* =====================================================================
+   Vanilla JS Chess — AI worker
+   Runs the engine search off the main thread so the page stays
+   responsive while the AI thinks. Started as a module worker.
+     in:  { id, state, depth, timeMs, path }
+     out: { id, move, score, depth, nodes }
+   With `lines: N` in the job it runs a multi-PV search instead, posting
+   { id, info: true, lines, depth, … } after every iteration and
+   { id, lines, depth, … } at the end.
+   With `tablebase: true` small endings are played from the endgame
+   tables, adding tb: { result, plies } to the reply. Tables that aren't
+   built yet get up to half the move's time, then are built on between
+   jobs; until then the reply has tb: { building: true } and the move
+   comes from the search. With `skill: 1–20`
+   it plays at that skill level instead of searching to `depth`.
+   ===================================================================== */
+import { searchBest, searchLines, searchSkill } from './engine.js';
+import { buildTables, tablebaseMove } from './tablebase.js';
+
+const BUILD_SLICE_MS = 50; // background table building, between jobs
+
+let pending = null; // position whose tables are still being built
+let buildTimer = 0;
+
+function buildInBackground(){
+  buildTimer = 0;
+  if(!pending) return;
+  if(buildTables(pending, Date.now() + BUILD_SLICE_MS)) pending = null;
+  else buildTimer = setTimeout(buildInBackground, 0); // lets jobs in
+}
+
+// The best of `moves` only, from a one-line multi-PV search
+function searchAmong(state, moves, depth, timeMs, path){
+  const { lines: [line], ...r } = searchLines(state, 1, depth, timeMs, path, null, moves);
+  return { ...r, ...line };
+}
+
+onmessage = (e) => {
+  const { id, state, depth, timeMs, path, lines, tablebase, skill } = e.data;
+  if(lines){
+    const r = searchLines(state, lines, depth, timeMs, path, info => postMessage({ id, info: true, ...info }));
+    postMessage({ id, ...r });
+  } else {
+    const start = Date.now();
+    const ready = tablebase ? buildTables(state, start + timeMs / 2) : null;
+    if(ready === false){
+      pending = state;
+      if(!buildTimer) buildTimer = setTimeout(buildInBackground, 0);
+    }
+    const tb = ready && tablebaseMove(state);
+    if(tb && tb.result !== 'draw'){
+      postMessage({ id, move: tb.move, score: tb.score, depth: 0, nodes: 0, nps: 0, tb: { result: tb.result, plies: tb.plies } });
+      return;
+    }
+    const left = timeMs - (Date.now() - start);
+    // In a drawn ending the search only picks among the moves that hold it
+    const r = skill ? searchSkill(state, skill, left, path, Math.random, tb?.equal)
+      : tb ? searchAmong(state, tb.equal, depth, left, path)
+      : searchBest(state, depth, left, path);
+    if(tb) r.score = 0; // whatever the evaluation says, the tables know it is drawn
+    const note = tb ? { result: 'draw', plies: 0 } : ready === false ? { building: true } : undefined;
+    postMessage({ id, ...r, tb: note });
+  }
+};
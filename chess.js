@@ -2,12 +2,46 @@
    Vanilla JS Chess — modular version (no frameworks)
    Features:
    - Legal move generation (checks, castling, en passant, promotion)
-   - Click-to-move with highlights
+   - Click-to-move or drag-and-drop (mouse, pen, touch) with highlights
+   - Move history with undo/redo and a clickable move list
+   - SAN move notation, PGN import/export
+   - Draws by repetition, the 50-move rule and insufficient material
+   - Chess clocks (presets or custom Fischer increment / delay)
+   - Autosave with resume on reload, saved settings and a games library
+   - Position editor: piece palette, drag / right-click, validated setup
+   - Chess960 (Fischer Random) games from a random or chosen position
+   - Game review: evaluation graph, inaccuracies / mistakes / blunders
+     with the engine's preferred line
+   - Live analysis: evaluation bar, multi-PV lines, best-move arrow
+   - Puzzle trainer: bundled tactics set, hints, local rating and streak
+   - Opening book (Polyglot .bin) for the AI, opening names from ECO
+   - Endgame tablebases: perfect AI play with up to 4 men, "mate in N"
    - Smooth animations (piece slide, capture fade)
-   - AI opponent with difficulty slider (0=random, 1–4=depth search)
+   - Board themes, SVG piece sets (custom ones from themes.json) and
+     coordinate labels
+   - Keyboard play (arrow keys, typed SAN / coordinate moves) and a
+     screen-reader board: ARIA grid, named squares, spoken moves
+   - Game modes: human vs human, human vs AI (either colour), AI vs AI
+     with pause / step, per-side skill level (1–20, by approximate Elo)
+     with human-like mistakes, and an adaptive level that follows results
+   - AI searches in a Web Worker under a per-move time limit
    - Black pieces start on the top ranks (as requested)
+   Rules, notation and search live in the engine module (engine.js);
+   this file is only the browser UI on top of it.
    ===================================================================== */
 
+import {
+  idx, file, rank, opp, MATE, MAX_PLY,
+  startPosition, chess960Position, castleSquares, movesTo, cloneState, toFEN, parseFEN, formatFenError, inCheck, genMoves, makeMove,
+  positionProblems, castlingPossible, epSquares,
+  outcome, hasMatingMaterial, moveToSAN, sanToMove, moveToCoord, lineToSAN, judgeMove,
+  toPGN, fromPGN, zobrist, thinkTime, idxToAlg, fromFEN, parsePuzzles, solvesPuzzle, puzzleRating,
+  skillLevel, levelForRating, eloRating
+} from './engine.js';
+import { readBook, bookMoves, pickBookMove, indexOpenings, openingName } from './book.js';
+import { TB_MEN } from './tablebase.js';
+import { boardThemes, pieceSets, boardTheme, pieceSet, pieceImage, registerThemes } from './themes.js';
+
 /* ----------------------
    Constants & Utilities
    ---------------------- */
@@ -19,15 +53,8 @@ const GLYPH = {
   bP:'♟', bN:'♞', bB:'♝', bR:'♜', bQ:'♛', bK:'♚'
 };
 
-// Material values for a tiny eval (used by the AI)
-const VAL = { P:100, N:320, B:330, R:500, Q:900, K:20000 };
-
-// Board math helpers
-const idx  = (f,r) => r*8 + f;                // file,rank -> 0..63
-const file = i => i % 8;                       // 0..7
-const rank = i => Math.floor(i / 8);           // 0..7
-const inBoard = (f,r) => f>=0 && f<8 && r>=0 && r<8;
-const opp = side => side === 'w' ? 'b' : 'w';
+// Spoken piece names (square labels and move announcements)
+const PIECE_NAME = { P:'pawn', N:'knight', B:'bishop', R:'rook', Q:'queen', K:'king' };
 
 // DOM references
 const boardEl = document.getElementById('board');
@@ -37,7 +64,29 @@ const statusEl = document.getElementById('status');
 let state;                 // current game state object
 let selected = null;       // currently selected square + moves
 let aiThinking = false;    // simple re-entrancy guard
+let aiPaused = false;      // AI vs AI held by the Pause button
+let tbNote = null;         // { state, text }: tablebase verdict shown for that position
 let perspectiveWhite = true; // true => white drawn at bottom
+let focusSq = idx(4,1);    // square holding the board's keyboard focus (e2)
+let editing = null;        // { piece } while the position editor is open
+let reviewing = false;     // true while the game review is searching
+
+// Game record: every position reached and the moves between them.
+// positions[0] is the starting position; moves[i] leads from
+// positions[i] to positions[i+1] and san[i] is its notation.
+// `ply` is the position currently on the board.
+let game = { positions: [], moves: [], san: [], ply: 0 };
+
+// Game clocks, null when playing untimed. Times are in ms; `since` is
+// when the running side's clock was started.
+// { base, inc, delay, left: {w, b}, running: 'w'|'b'|null, since, timer, flagged }
+let clock = null;
+const TIMED_DEPTH = 32; // depth cap for searches limited by time (game review)
+
+// AI search worker (created on first use) and the request in flight
+let aiWorker = null;
+let aiRequest = null;      // { id, resolve } while a search is running
+let aiRequestId = 0;
 
 // Map: square index -> DOM <div class="piece">
 const pieceDom = new Map();
@@ -45,346 +94,40 @@ const pieceDom = new Map();
 /* -----------------------------------
    1) Build static grid (.sq elements)
    ----------------------------------- */
+// The board is an ARIA grid: eight rows of gridcells. The row wrappers
+// use `display: contents`, so the cells still lay out on the CSS grid.
 function buildBoardSquares(){
   boardEl.innerHTML = '';
   const frag = document.createDocumentFragment();
   // We create squares top-to-bottom so CSS grid indexes match visuals
   for(let r=7; r>=0; r--){
+    const row = document.createElement('div');
+    row.className = 'rank';
+    row.setAttribute('role', 'row');
     for(let f=0; f<8; f++){
       const s = document.createElement('div');
       s.className = 'sq ' + ((r+f)%2===0 ? 'light' : 'dark');
-      s.dataset.f = f;
-      s.dataset.r = r;
-      frag.appendChild(s);
+      s.setAttribute('role', 'gridcell');
+      s.tabIndex = -1;
+      // The left and bottom edges carry the coordinates (see labelSquares)
+      if(f === 0) s.appendChild(coordLabel('rank'));
+      if(r === 0) s.appendChild(coordLabel('file'));
+      row.appendChild(s);
     }
+    frag.appendChild(row);
   }
   boardEl.appendChild(frag);
 }
 
-/* -----------------------------------
-   2) Initial position and FEN helpers
-   ----------------------------------- */
-function startPosition(){
-  // Black on top (ranks 7 & 6), White on bottom (ranks 0 & 1)
-  const b = Array(64).fill(null);
-  const back = ['R','N','B','Q','K','B','N','R'];
-  for(let f=0; f<8; f++){
-    b[idx(f,0)] = 'w' + back[f];
-    b[idx(f,1)] = 'wP';
-    b[idx(f,6)] = 'bP';
-    b[idx(f,7)] = 'b' + back[f];
-  }
-  return {
-    board: b,
-    turn: 'w',
-    castling: { wK:true, wQ:true, bK:true, bQ:true },
-    ep: -1,            // en passant target square (index), -1 if none
-    halfmove: 0,       // 50-move rule clock (not fully enforced here)
-    fullmove: 1        // move number
-  };
-}
-
-function cloneState(s){
-  return {
-    board: s.board.slice(),
-    turn: s.turn,
-    castling: { ...s.castling },
-    ep: s.ep,
-    halfmove: s.halfmove,
-    fullmove: s.fullmove
-  };
-}
-
-// FEN serialization (handy for debugging and copy/paste)
-function toFEN(s){
-  let rows = [];
-  for(let r=7; r>=0; r--){
-    let row = '', empty = 0;
-    for(let f=0; f<8; f++){
-      const p = s.board[idx(f,r)];
-      if(!p){ empty++; continue; }
-      if(empty){ row += empty; empty = 0; }
-      row += pieceToFen(p);
-    }
-    if(empty) row += empty;
-    rows.push(row);
-  }
-  let castle = '';
-  castle += s.castling.wK ? 'K' : '';
-  castle += s.castling.wQ ? 'Q' : '';
-  castle += s.castling.bK ? 'k' : '';
-  castle += s.castling.bQ ? 'q' : '';
-  if(!castle) castle = '-';
-  const ep = s.ep >= 0 ? idxToAlg(s.ep) : '-';
-  return rows.join('/') + ' ' + s.turn + ' ' + castle + ' ' + ep + ' ' + s.halfmove + ' ' + s.fullmove;
-}
-
-// FEN parsing
-function fromFEN(fen){
-  const parts = fen.trim().split(/\s+/);
-  if(parts.length < 4) throw new Error('Bad FEN');
-  const [boardStr, turn, castleStr, epStr, half='0', full='1'] = parts;
-
-  const b = Array(64).fill(null);
-  const rows = boardStr.split('/');
-  if(rows.length !== 8) throw new Error('Bad FEN ranks');
-
-  for(let r=7; r>=0; r--){
-    const row = rows[7-r];
-    let f = 0;
-    for(const ch of row){
-      if(/[1-8]/.test(ch)){ f += +ch; continue; }
-      b[idx(f,r)] = fenToPiece(ch);
-      f++;
-    }
-  }
-
-  const castling = { wK:false, wQ:false, bK:false, bQ:false };
-  if(castleStr && castleStr !== '-'){
-    for(const c of castleStr){
-      if(c==='K') castling.wK = true;
-      if(c==='Q') castling.wQ = true;
-      if(c==='k') castling.bK = true;
-      if(c==='q') castling.bQ = true;
-    }
-  }
-
-  const ep = (epStr && epStr !== '-') ? algToIdx(epStr) : -1;
-  return {
-    board: b,
-    turn: (turn==='b' ? 'b' : 'w'),
-    castling, ep,
-    halfmove: (+half)|0,
-    fullmove: (+full)|0
-  };
-}
-
-// Helpers for FEN piece symbols
-function pieceToFen(p){
-  const map = { P:'P', N:'N', B:'B', R:'R', Q:'Q', K:'K' };
-  const sym = map[p[1]];
-  return p[0] === 'w' ? sym : sym.toLowerCase();
-}
-function fenToPiece(ch){
-  const map = { p:'P', n:'N', b:'B', r:'R', q:'Q', k:'K' };
-  return (ch===ch.toLowerCase() ? 'b' : 'w') + map[ch.toLowerCase()];
-}
-function idxToAlg(i){ return 'abcdefgh'[file(i)] + (rank(i)+1); }
-function algToIdx(s){ return idx('abcdefgh'.indexOf(s[0]), parseInt(s[1],10)-1); }
-
-/* --------------------------------------------------
-   3) Move generation, checks, castling, en passant
-   -------------------------------------------------- */
-
-// Returns true if square `sq` is attacked by side `by`
-function isAttacked(sq, by, s){
-  const B = s.board;
-  const kingSteps = [[1,0],[-1,0],[0,1],[0,-1],[1,1],[-1,1],[1,-1],[-1,-1]];
-  // Pawn attacks: note the relative direction
-  const dr = by === 'w' ? 1 : -1;
-  for(const df of [-1, 1]){
-    const f = file(sq) + df, r = rank(sq) - dr; // attacker sits one rank behind target
-    if(inBoard(f,r) && B[idx(f,r)] === by + 'P') return true;
-  }
-  // Knight attacks
-  const KJ = [[1,2],[2,1],[-1,2],[-2,1],[1,-2],[2,-1],[-1,-2],[-2,-1]];
-  for(const [df,dr2] of KJ){
-    const f = file(sq) + df, r = rank(sq) + dr2;
-    if(inBoard(f,r) && B[idx(f,r)] === by + 'N') return true;
-  }
-  // Bishop/queen diagonals
-  for(const [df,dr3] of [[1,1],[-1,1],[1,-1],[-1,-1]]){
-    let f = file(sq)+df, r = rank(sq)+dr3;
-    while(inBoard(f,r)){
-      const p = B[idx(f,r)];
-      if(p){ if(p[0]===by && (p[1]==='B' || p[1]==='Q')) return true; break; }
-      f+=df; r+=dr3;
-    }
-  }
-  // Rook/queen orthogonals
-  for(const [df,dr4] of [[1,0],[-1,0],[0,1],[0,-1]]){
-    let f = file(sq)+df, r = rank(sq)+dr4;
-    while(inBoard(f,r)){
-      const p = B[idx(f,r)];
-      if(p){ if(p[0]===by && (p[1]==='R' || p[1]==='Q')) return true; break; }
-      f+=df; r+=dr4;
-    }
-  }
-  // King
-  for(const [df,dr5] of kingSteps){
-    const f = file(sq)+df, r = rank(sq)+dr5;
-    if(inBoard(f,r) && B[idx(f,r)] === by + 'K') return true;
-  }
-  return false;
-}
-
-// Pseudo-legal move generation + legality filter
-function genMoves(s){
-  const moves = [];
-  const B = s.board, turn = s.turn;
-  const forward = turn === 'w' ? 1 : -1;
-  const startR  = turn === 'w' ? 1 : 6;
-  const promR   = turn === 'w' ? 7 : 0;
-
-  const add = (from,to,flags={}) => moves.push({from,to,flags});
-
-  for(let i=0; i<64; i++){
-    const P = B[i];
-    if(!P || P[0] !== turn) continue;
-
-    const f = file(i), r = rank(i), t = P[1];
-
-    if(t === 'P'){
-      // Forward pushes
-      const r1 = r + forward;
-      if(inBoard(f,r1) && !B[idx(f,r1)]){
-        if(r1 === promR) add(i, idx(f,r1), {promo:'Q'}); else add(i, idx(f,r1));
-        // Double from starting rank
-        if(r === startR){
-          const r2 = r + 2*forward;
-          if(!B[idx(f,r2)]) add(i, idx(f,r2), {epSet: idx(f,r1)});
-        }
-      }
-      // Captures
-      for(const df of [-1,1]){
-        const f1 = f + df, r1c = r + forward;
-        if(!inBoard(f1,r1c)) continue;
-        const tSq = idx(f1,r1c);
-        if(B[tSq] && B[tSq][0] !== turn){
-          if(r1c===promR) add(i, tSq, {capture:true, promo:'Q'});
-          else add(i, tSq, {capture:true});
-        }
-      }
-      // En passant
-      if(s.ep >= 0){
-        const epF = file(s.ep), epR = rank(s.ep);
-        if(epR === r + forward && Math.abs(epF - f) === 1){
-          add(i, s.ep, {ep:true, capture:true});
-        }
-      }
-    } else if(t === 'N'){
-      for(const [df,dr] of [[1,2],[2,1],[-1,2],[-2,1],[1,-2],[2,-1],[-1,-2],[-2,-1]]){
-        const f1=f+df, r1=r+dr; if(!inBoard(f1,r1)) continue;
-        const T = idx(f1,r1); if(!B[T] || B[T][0]!==turn) add(i, T, {capture: !!B[T]});
-      }
-    } else if(t === 'B' || t === 'R' || t === 'Q'){
-      const dirs = [];
-      if(t !== 'B') dirs.push([1,0],[-1,0],[0,1],[0,-1]);
-      if(t !== 'R') dirs.push([1,1],[-1,1],[1,-1],[-1,-1]);
-      for(const [df,dr] of dirs){
-        let f1=f+df, r1=r+dr;
-        while(inBoard(f1,r1)){
-          const T = idx(f1,r1), q = B[T];
-          if(!q) add(i,T);
-          else { if(q[0]!==turn) add(i,T,{capture:true}); break; }
-          f1+=df; r1+=dr;
-        }
-      }
-    } else if(t === 'K'){
-      for(const [df,dr] of [[1,0],[-1,0],[0,1],[0,-1],[1,1],[-1,1],[1,-1],[-1,-1]]){
-        const f1=f+df, r1=r+dr; if(!inBoard(f1,r1)) continue;
-        const T = idx(f1,r1), q = B[T];
-        if(!q || q[0]!==turn) add(i, T, {capture: !!q});
-      }
-      // Castling (requires empty squares and not passing through check)
-      if(turn==='w' && r===0 && f===4){
-        if(s.castling.wK && !B[idx(5,0)] && !B[idx(6,0)]
-           && !isAttacked(idx(4,0),'b',s) && !isAttacked(idx(5,0),'b',s) && !isAttacked(idx(6,0),'b',s)){
-          add(i, idx(6,0), {castle:'K'});
-        }
-        if(s.castling.wQ && !B[idx(1,0)] && !B[idx(2,0)] && !B[idx(3,0)]
-           && !isAttacked(idx(4,0),'b',s) && !isAttacked(idx(3,0),'b',s) && !isAttacked(idx(2,0),'b',s)){
-          add(i, idx(2,0), {castle:'Q'});
-        }
-      }
-      if(turn==='b' && r===7 && f===4){
-        if(s.castling.bK && !B[idx(5,7)] && !B[idx(6,7)]
-           && !isAttacked(idx(4,7),'w',s) && !isAttacked(idx(5,7),'w',s) && !isAttacked(idx(6,7),'w',s)){
-          add(i, idx(6,7), {castle:'K'});
-        }
-        if(s.castling.bQ && !B[idx(1,7)] && !B[idx(2,7)] && !B[idx(3,7)]
-           && !isAttacked(idx(4,7),'w',s) && !isAttacked(idx(3,7),'w',s) && !isAttacked(idx(2,7),'w',s)){
-          add(i, idx(2,7), {castle:'Q'});
-        }
-      }
-    }
-  }
-
-  // King-safety filter: apply move, then test if own king is attacked
-  const legal = [];
-  for(const m of moves){
-    const s2 = makeMove(s, m);
-    const kingSq = s2.board.findIndex(p => p === s.turn + 'K');
-    if(!isAttacked(kingSq, opp(s.turn), s2)) legal.push(m);
-  }
-  return legal;
-}
-
-// Apply a move and return the NEW state (no animations here)
-function makeMove(s, m){
-  const B = s.board.slice();
-  const from = m.from, to = m.to;
-  const P = B[from], turn = s.turn, other = opp(turn);
-
-  // En passant capture removes pawn *behind* the destination
-  if(m.flags?.ep){
-    const capSq = idx(file(to), rank(to) + (turn==='w' ? -1 : 1));
-    B[capSq] = null;
-  }
-
-  // Move the piece
-  B[to] = P;
-  B[from] = null;
-
-  // Promotion (auto-queen; easy to extend to a picker UI)
-  if(P[1] === 'P'){
-    const lastRank = turn === 'w' ? 7 : 0;
-    if(rank(to) === lastRank){
-      B[to] = turn + (m.flags?.promo || 'Q');
-    }
-  }
-
-  // Castling: move rook accordingly, and kill rights
-  if(P[1] === 'K'){
-    if(turn === 'w'){ s.castling.wK = s.castling.wQ = false; }
-    else            { s.castling.bK = s.castling.bQ = false; }
-    if(m.flags?.castle === 'K'){
-      const r = (turn==='w') ? 0 : 7;
-      B[idx(5,r)] = turn + 'R'; B[idx(7,r)] = null;
-    } else if(m.flags?.castle === 'Q'){
-      const r = (turn==='w') ? 0 : 7;
-      B[idx(3,r)] = turn + 'R'; B[idx(0,r)] = null;
-    }
-  }
-
-  // If a rook moves (or gets captured on its original square), update castling rights
-  if(P[1] === 'R'){
-    if(from === idx(7,0)) s.castling.wK = false;
-    if(from === idx(0,0)) s.castling.wQ = false;
-    if(from === idx(7,7)) s.castling.bK = false;
-    if(from === idx(0,7)) s.castling.bQ = false;
-  }
-  if(m.flags?.capture){
-    if(to === idx(7,0)) s.castling.wK = false;
-    if(to === idx(0,0)) s.castling.wQ = false;
-    if(to === idx(7,7)) s.castling.bK = false;
-    if(to === idx(0,7)) s.castling.bQ = false;
-  }
-
-  // Produce next state object
-  const s2 = cloneState(s);
-  s2.board = B;
-  s2.turn = other;
-  s2.ep = m.flags?.epSet ?? -1;
-  s2.halfmove = (P[1]==='P' || m.flags?.capture) ? 0 : s.halfmove + 1;
-  s2.fullmove = (other === 'w') ? s.fullmove + 1 : s.fullmove;
-  return s2;
-}
-
 /* ----------------------------------------
-   4) Rendering: positions, highlights, UI
+   2) Rendering: positions, highlights, UI
    ---------------------------------------- */
 
+// Board index drawn at visual row/col (0,0 = top-left), honoring perspective
+function squareAtCell(row, col){
+  return perspectiveWhite ? idx(col, 7 - row) : idx(7 - col, row);
+}
+
 // Convert a board index to pixel coordinates, honoring perspective
 function squareToXY(i){
   const f = file(i), r = rank(i);
@@ -403,6 +146,7 @@ function movePieceElementTo(el, i, snap=false){
 
 // Create/update/remove piece nodes to reflect `state.board`
 function renderPieces(){
+  autoOrient();
   const present = new Set();
 
   // Create or update all living pieces
@@ -412,18 +156,18 @@ function renderPieces(){
     present.add(i);
 
     let el = pieceDom.get(i);
-    const glyph = GLYPH[p];
 
     if(!el){
       el = document.createElement('div');
       el.className = 'piece ' + (p[0]==='w' ? 'white' : 'black');
-      el.textContent = glyph;
+      el.setAttribute('aria-hidden', 'true'); // the cell label names it
+      setPieceFace(el, p);
       pieceDom.set(i, el);
       boardEl.appendChild(el);
       movePieceElementTo(el, i, true); // snap on first paint
     } else {
       el.className = 'piece ' + (p[0]==='w' ? 'white' : 'black');
-      if(el.textContent !== glyph) el.textContent = glyph;
+      setPieceFace(el, p);
       movePieceElementTo(el, i, true); // reconcile position (in case of flip)
     }
   }
@@ -437,9 +181,49 @@ function renderPieces(){
   const live = new Set([...pieceDom.values()]);
   boardEl.querySelectorAll('.piece').forEach(el => { if(!live.has(el)) el.remove(); });
 
+  labelSquares();
+
   // Update FEN field & status
   document.getElementById('fenIn').value = toFEN(state);
   updateStatus();
+  scheduleLive();
+  renderBookInfo();
+}
+
+// Name every cell for assistive tech ("e4, white knight") and keep the
+// roving tabindex on the focused square
+function labelSquares(){
+  boardEl.querySelectorAll('.sq').forEach((cell, n) => {
+    const i = squareAtCell(Math.floor(n / 8), n % 8);
+    const p = state.board[i];
+    cell.dataset.sq = i;
+    cell.setAttribute('aria-label', idxToAlg(i) + ', ' +
+      (p ? (p[0]==='w' ? 'white ' : 'black ') + PIECE_NAME[p[1]] : 'empty'));
+    cell.tabIndex = i === focusSq ? 0 : -1;
+    const rankEl = cell.querySelector('.coord.rank'), fileEl = cell.querySelector('.coord.file');
+    if(rankEl) rankEl.textContent = rank(i) + 1;
+    if(fileEl) fileEl.textContent = 'abcdefgh'[file(i)];
+  });
+  boardEl.setAttribute('aria-label', 'Chessboard, ' + (perspectiveWhite ? 'White' : 'Black') + ' at the bottom');
+}
+
+// A coordinate label for an edge cell ("rank" or "file")
+function coordLabel(kind){
+  const el = document.createElement('span');
+  el.className = 'coord ' + kind;
+  el.setAttribute('aria-hidden', 'true');
+  return el;
+}
+
+// Draw piece `p` ('wN') on `el` in the chosen piece set: its image, or
+// the Unicode glyph
+function setPieceFace(el, p){
+  const url = pieceImage(document.getElementById('pieceSet').value, p);
+  const face = url || GLYPH[p];
+  if(el.dataset.face === face) return;
+  el.dataset.face = face;
+  el.textContent = url ? '' : GLYPH[p];
+  el.style.backgroundImage = url ? `url("${url}")` : '';
 }
 
 // Helper to get a .sq element for a given index
@@ -455,6 +239,7 @@ function atGridSquare(i){
 function clearHighlights(){
   boardEl.querySelectorAll('.sq').forEach(sq => {
     sq.classList.remove('sel');
+    sq.removeAttribute('aria-selected');
     const dot = sq.querySelector('.dot');
     if(dot) dot.remove();
   });
@@ -462,7 +247,7 @@ function clearHighlights(){
 function highlight(from, moves){
   clearHighlights();
   const fromEl = atGridSquare(from);
-  if(fromEl) fromEl.classList.add('sel');
+  if(fromEl){ fromEl.classList.add('sel'); fromEl.setAttribute('aria-selected', 'true'); }
 
   const squares = boardEl.querySelectorAll('.sq');
   for(const m of moves){
@@ -476,12 +261,52 @@ function highlight(from, moves){
   }
 }
 
+// Promotion picker: overlay with the four pieces; resolves to the chosen
+// letter ('Q','R','B','N'), or null if dismissed (click outside / Escape)
+function pickPromotion(side){
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'promo-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-label', 'Promote pawn to');
+    const box = document.createElement('div');
+    box.className = 'promo-box';
+    for(const t of 'QRBN'){
+      const btn = document.createElement('button');
+      btn.className = 'promo-choice piece ' + (side==='w' ? 'white' : 'black');
+      setPieceFace(btn, side + t);
+      btn.dataset.piece = t;
+      btn.setAttribute('aria-label', PIECE_NAME[t]);
+      box.appendChild(btn);
+    }
+    overlay.appendChild(box);
+
+    const done = choice => {
+      overlay.remove();
+      document.removeEventListener('keydown', onKey);
+      resolve(choice);
+    };
+    const onKey = e => { if(e.key === 'Escape') done(null); };
+    overlay.addEventListener('click', e => {
+      e.stopPropagation(); // keep the board click handler out of it
+      done(e.target.closest('.promo-choice')?.dataset.piece || null);
+    });
+    document.addEventListener('keydown', onKey);
+    document.getElementById('boardWrap').appendChild(overlay);
+    overlay.querySelector('button').focus();
+  });
+}
+
 /* ----------------------------------------------------
-   5) Animated makeMove (DOM sync + capture/fade/castle)
+   3) Animated makeMove (DOM sync + capture/fade/castle)
    ---------------------------------------------------- */
 async function applyMoveAnimated(m){
   const moverEl = pieceDom.get(m.from);
   const moverPiece = state.board[m.from];
+  // Castling: the king lands on g/c (in Chess960 `m.to` is the rook)
+  const castle = m.flags?.castle ? castleSquares(state, moverPiece[0] + m.flags.castle) : null;
+  const landing = castle ? castle.kingTo : m.to;
+  const rookEl = castle ? pieceDom.get(castle.rookFrom) : null;
 
   // Determine captured piece element BEFORE changing the map
   let capIdx = -1;
@@ -492,16 +317,19 @@ async function applyMoveAnimated(m){
   }
   const capEl = capIdx >= 0 ? pieceDom.get(capIdx) : null;
 
-  // Advance game state
-  state = makeMove(state, m);
+  // Advance game state (also records the move in the history)
+  recordMove(m, makeMove(state, m));
+  pressClock(moverPiece[0]);
+  announce((moverPiece[0]==='w' ? 'White: ' : 'Black: ') + spokenSAN(game.san[game.ply - 1]));
 
   // Update the index->node map in safe order
   pieceDom.delete(m.from);
   if(capIdx >= 0) pieceDom.delete(capIdx);
-  pieceDom.set(m.to, moverEl);
+  if(castle) pieceDom.delete(castle.rookFrom);
+  pieceDom.set(landing, moverEl);
 
   // Slide mover to target
-  movePieceElementTo(moverEl, m.to, false);
+  movePieceElementTo(moverEl, landing, false);
   await waitMs(190);
 
   // Fade captured after the mover lands
@@ -512,216 +340,1434 @@ async function applyMoveAnimated(m){
   }
 
   // Animate rook during castling
-  if(m.flags?.castle){
-    const r = (moverPiece[0]==='w') ? 0 : 7;
-    if(m.flags.castle === 'K'){
-      const rookFrom = idx(7,r), rookTo = idx(5,r);
-      const rookEl = pieceDom.get(rookFrom);
-      if(rookEl){ pieceDom.delete(rookFrom); pieceDom.set(rookTo, rookEl); movePieceElementTo(rookEl, rookTo, false); }
-    } else {
-      const rookFrom = idx(0,r), rookTo = idx(3,r);
-      const rookEl = pieceDom.get(rookFrom);
-      if(rookEl){ pieceDom.delete(rookFrom); pieceDom.set(rookTo, rookEl); movePieceElementTo(rookEl, rookTo, false); }
-    }
+  if(rookEl){
+    pieceDom.set(castle.rookTo, rookEl);
+    movePieceElementTo(rookEl, castle.rookTo, false);
   }
 
-  // Promotion glyph update (auto-queen)
-  const landed = state.board[m.to];
-  if(landed && landed[1] === 'Q'){
+  // Promotion glyph update (whichever piece was chosen)
+  if(m.flags?.promo){
     const el = pieceDom.get(m.to);
-    if(el) el.textContent = GLYPH[landed];
+    if(el) setPieceFace(el, state.board[m.to]);
   }
 
   // Reconcile everything (also updates FEN + status)
   renderPieces();
 
   // If AI should move now, trigger it
-  if(!gameOver(state)){
-    const aiBlack = document.getElementById('aiPlaysBlack').checked;
-    if( (state.turn==='b' && aiBlack) || (state.turn==='w' && !aiBlack) ){
-      aiMove();
+  if(gameOver()){ stopClock(); announce(statusEl.textContent); rateGame(); }
+  else if(isAiTurn(state)) aiMove();
+  if(puzzle) puzzleStep();
+}
+
+/* ------------------------------------------------
+   4) Game history: undo/redo and the move list
+   ------------------------------------------------ */
+function resetHistory(s){
+  closeEditor();
+  endPuzzle();
+  game = { positions: [s], moves: [], san: [], ply: 0 };
+  state = s;
+  renderMoveList();
+}
+
+// Append a move played from the current position. Playing from an
+// earlier position discards the old continuation.
+function recordMove(m, s2){
+  stopReview(); // a new move makes the review stale
+  game.positions.length = game.ply + 1;
+  game.moves.length = game.san.length = game.ply;
+  game.san.push(moveToSAN(game.positions[game.ply], m));
+  game.positions.push(s2);
+  game.moves.push(m);
+  game.ply++;
+  state = s2;
+  renderMoveList();
+  autosave();
+  document.getElementById('resumeBar').hidden = true; // a new game replaced it
+}
+
+// Show the position after `ply` half-moves (0 = starting position)
+function goToPly(ply){
+  ply = Math.max(0, Math.min(ply, game.positions.length - 1));
+  closeEditor();
+  game.ply = ply;
+  state = game.positions[ply];
+  selected = null; clearHighlights(); renderPieces(); renderMoveList();
+  gameOver();
+  autosave();
+}
+
+// No takebacks or browsing while the clocks are running or a puzzle
+// is being solved
+function canNavigate(){ return !aiThinking && !clock?.running && !editing && !(puzzle && !puzzle.done); }
+
+// Against the AI, undo/redo step over its reply so the human is back
+// on move; otherwise they go one ply at a time
+function undo(){
+  if(!canNavigate() || game.ply === 0) return;
+  let ply = game.ply - 1;
+  if(ply > 0 && isAiTurn(game.positions[ply]) && !isAiTurn(state)) ply--;
+  goToPly(ply);
+}
+function redo(){
+  const last = game.positions.length - 1;
+  if(!canNavigate() || game.ply >= last) return;
+  let ply = game.ply + 1;
+  if(ply < last && isAiTurn(game.positions[ply]) && !isAiTurn(state)) ply++;
+  goToPly(ply);
+}
+
+function renderMoveList(){
+  const list = document.getElementById('moveList');
+  const frag = document.createDocumentFragment();
+  game.san.forEach((san, i) => {
+    const s = game.positions[i];
+    // Number before every white move, and before a leading black move
+    if(s.turn === 'w' || i === 0){
+      const num = document.createElement('span');
+      num.className = 'num';
+      num.textContent = s.fullmove + (s.turn === 'w' ? '.' : '...');
+      frag.appendChild(num);
     }
+    const mv = document.createElement('span');
+    const mark = game.review?.marks[i];
+    mv.className = 'mv' + (i + 1 === game.ply ? ' cur' : '') + (mark ? ' ' + mark : '');
+    mv.dataset.ply = i + 1;
+    mv.textContent = san + (mark ? MARK_GLYPH[mark] : '');
+    frag.appendChild(mv);
+  });
+  list.innerHTML = '';
+  list.appendChild(frag);
+  list.querySelector('.cur')?.scrollIntoView({ block: 'nearest' });
+
+  document.getElementById('undoBtn').disabled = !canNavigate() || game.ply === 0;
+  document.getElementById('redoBtn').disabled = !canNavigate() || game.ply === game.positions.length - 1;
+  document.getElementById('reviewBtn').disabled = !reviewing && (!canNavigate() || !game.moves.length);
+  renderReview();
+}
+
+/* ----------------------------------------------
+   4b) Chess clocks (Fischer increment or delay)
+   ---------------------------------------------- */
+// The selected time control, or null for untimed play. Presets are
+// "minutes+increment"; custom adds either an increment or a delay
+// (simple delay: the first `delay` seconds of every move are free).
+function readTimeControl(){
+  const v = document.getElementById('timeControl').value;
+  if(!v) return null;
+  if(v === 'custom'){
+    const sec = +document.getElementById('clockInc').value * 1000;
+    const isDelay = document.getElementById('clockMode').value === 'delay';
+    return { base: +document.getElementById('clockMin').value * 60000, inc: isDelay ? 0 : sec, delay: isDelay ? sec : 0 };
+  }
+  const [min, inc] = v.split('+').map(Number);
+  return { base: min * 60000, inc: inc * 1000, delay: 0 };
+}
+
+// Fresh clocks for a new game; they start with the first move
+function resetClock(){
+  stopClock();
+  const tc = readTimeControl();
+  clock = tc && { ...tc, left: { w: tc.base, b: tc.base }, running: null, since: 0, timer: 0, flagged: null };
+  renderClocks();
+}
+
+// Time the running side has used on this move (after the delay)
+function clockUsed(){
+  return clock.running ? Math.max(0, Date.now() - clock.since - clock.delay) : 0;
+}
+function clockLeft(side){
+  return clock.left[side] - (clock.running === side ? clockUsed() : 0);
+}
+
+// `side` has just moved: bank its time, add the increment, start the opponent
+function pressClock(side){
+  if(!clock || clock.flagged) return;
+  if(clock.running === side) clock.left[side] += clock.inc - clockUsed();
+  clock.running = opp(side);
+  clock.since = Date.now();
+  if(!clock.timer) clock.timer = setInterval(tickClock, 100);
+  renderClocks(); renderMoveList();
+}
+
+function stopClock(){
+  if(!clock) return;
+  if(clock.running) clock.left[clock.running] -= clockUsed();
+  clock.running = null;
+  clearInterval(clock.timer);
+  clock.timer = 0;
+  renderClocks(); renderMoveList();
+}
+
+function tickClock(){
+  const side = clock.running;
+  if(side && clockLeft(side) <= 0){
+    // Flag fall: the game is over whatever the AI was thinking
+    stopClock();
+    clock.left[side] = 0;
+    clock.flagged = side;
+    cancelSearch();
+    selected = null; clearHighlights();
+    gameOver();
+    announce(statusEl.textContent);
+    rateGame();
+  }
+  renderClocks();
+}
+
+// "4:59", "1:02:00", and tenths in the last ten seconds ("9.4")
+function formatClock(ms){
+  if(ms < 10000) return (Math.floor(ms / 100) / 10).toFixed(1);
+  const t = Math.ceil(ms / 1000);
+  const h = Math.floor(t / 3600), m = Math.floor(t / 60) % 60, sec = String(t % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+function renderClocks(){
+  document.getElementById('clocks').hidden = !clock;
+  if(!clock) return;
+  for(const side of ['w', 'b']){
+    const el = document.getElementById(side === 'w' ? 'clockW' : 'clockB');
+    const ms = Math.max(0, clockLeft(side));
+    el.querySelector('.time').textContent = formatClock(ms);
+    el.classList.toggle('running', clock.running === side);
+    el.classList.toggle('low', ms < 10000);
+    el.classList.toggle('flagged', clock.flagged === side);
+  }
+}
+
+/* ---------------------------------------------------
+   4c) Saving: autosave, settings and a games library
+   --------------------------------------------------- */
+// Everything lives under one localStorage key:
+// { version, settings, current, library: [{ id, name, pgn, ply, savedAt }], puzzles, adaptive }
+// Games are kept as PGN plus the ply on the board. Older data is
+// upgraded one version at a time through MIGRATIONS; data written by a
+// newer version of the app is read but never overwritten.
+const STORE_KEY = 'vanilla-js-chess';
+const STORE_VERSION = 3;
+const MIGRATIONS = {
+  // 1 -> 2: the "AI plays Black" checkbox and single difficulty became
+  // a game mode and a difficulty per side
+  1: data => {
+    const { aiPlaysBlack, difficulty, ...settings } = data.settings || {};
+    if(aiPlaysBlack !== undefined) settings.mode = aiPlaysBlack ? 'w' : 'b';
+    if(difficulty !== undefined) settings.diffW = settings.diffB = difficulty;
+    return { ...data, settings };
+  },
+  // 2 -> 3: difficulty 0–4 (random, then search depth) became skill
+  // levels 1–20; each old setting maps to the level searching as deep
+  2: data => {
+    const settings = { ...data.settings };
+    for(const id of ['diffW', 'diffB']){
+      if(id in settings) settings[id] = [1, 4, 8, 12, 15][settings[id]] ?? 8;
+    }
+    return { ...data, settings };
   }
+};
+const SETTING_INPUTS = ['mode', 'diffW', 'diffB', 'autoFlip', 'thinkTime', 'timeControl', 'clockMin', 'clockInc', 'clockMode',
+  'variant', 'c960No', 'reviewTime', 'liveToggle', 'pvCount', 'useBook', 'adaptive', 'boardTheme', 'pieceSet', 'coords'];
+
+let storeLocked = false;
+let store = readStore();
+
+function readStore(){
+  const empty = { version: STORE_VERSION, settings: {}, current: null, library: [] };
+  let data = null;
+  try{ data = JSON.parse(localStorage.getItem(STORE_KEY)); } catch(_){}
+  if(!data || typeof data.version !== 'number') return empty;
+  while(data.version < STORE_VERSION && MIGRATIONS[data.version]){
+    data = { ...MIGRATIONS[data.version](data), version: data.version + 1 };
+  }
+  if(data.version !== STORE_VERSION){ storeLocked = true; return empty; }
+  return data;
+}
+
+function writeStore(){
+  if(storeLocked) return;
+  try{ localStorage.setItem(STORE_KEY, JSON.stringify(store)); } catch(_){} // disabled or full
+}
+
+function gameRecord(){
+  return { pgn: toPGN(game, pgnTags()), ply: game.ply, savedAt: Date.now() };
+}
+
+// Parse a stored game; throws if its PGN no longer loads
+function recordToGame(rec){
+  const { game: g } = fromPGN(rec.pgn);
+  g.ply = Math.max(0, Math.min(rec.ply ?? g.ply, g.moves.length));
+  return g;
+}
+
+function openGame(g){
+  endPuzzle();
+  cancelSearch();
+  resetClock();
+  game = g;
+  goToPly(g.ply);
+  if(isAiTurn(state) && !gameOutcome()) aiMove();
+}
+
+// Save the game on the board as the one to resume after a reload
+// (puzzles aren't games to resume)
+function autosave(){
+  if(puzzle) return;
+  store.current = gameRecord();
+  writeStore();
+}
+
+function saveSettings(){
+  const s = { perspectiveWhite };
+  for(const id of SETTING_INPUTS){
+    const el = document.getElementById(id);
+    s[id] = el.type === 'checkbox' ? el.checked : el.value;
+  }
+  store.settings = s;
+  writeStore();
+}
+
+function applySettings(){
+  const s = store.settings || {};
+  for(const id of SETTING_INPUTS){
+    if(!(id in s)) continue;
+    const el = document.getElementById(id);
+    if(el.type === 'checkbox') el.checked = s[id]; else el.value = s[id];
+  }
+  if('perspectiveWhite' in s) perspectiveWhite = s.perspectiveWhite;
+  updateModeControls();
+  document.getElementById('c960Row').hidden = document.getElementById('variant').value !== '960';
+  applyTheme();
+}
+
+// Offer the autosaved game back if it was left unfinished.
+// Returns true if the offer is showing.
+function offerResume(){
+  let g;
+  try{ g = store.current && recordToGame(store.current); } catch(_){}
+  if(!g || !g.moves.length || outcome(g.positions)) return false;
+  const bar = document.getElementById('resumeBar');
+  document.getElementById('resumeText').textContent =
+    `Resume the unfinished game from ${new Date(store.current.savedAt).toLocaleString()} (${g.moves.length} plies)?`;
+  bar.hidden = false;
+  document.getElementById('resumeBtn').onclick = () => { bar.hidden = true; openGame(g); };
+  document.getElementById('discardBtn').onclick = () => {
+    bar.hidden = true;
+    autosave();
+    if(isAiTurn(state)) aiMove();
+  };
+  return true;
+}
+
+function renderLibrary(){
+  const list = document.getElementById('library');
+  list.innerHTML = '';
+  for(const entry of [...store.library].sort((a, b) => b.savedAt - a.savedAt)){
+    const li = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = entry.name;
+    const when = document.createElement('span');
+    when.className = 'when';
+    when.textContent = new Date(entry.savedAt).toLocaleDateString();
+    li.append(name, when);
+    for(const [act, label] of [['open', 'Open'], ['delete', 'Delete']]){
+      const btn = document.createElement('button');
+      btn.className = 'secondary';
+      btn.textContent = label;
+      btn.dataset.act = act;
+      btn.dataset.id = entry.id;
+      btn.setAttribute('aria-label', `${label} ${entry.name}`);
+      li.appendChild(btn);
+    }
+    list.appendChild(li);
+  }
+  if(!store.library.length) list.innerHTML = '<li class="empty">No saved games yet</li>';
 }
 
 /* ----------------------------
-   6) Status, endgame, and AI
+   5) Status, endgame, and AI
    ---------------------------- */
-function gameOver(s){
-  const legal = genMoves(s);
-  if(legal.length > 0) return false;
-
-  const k = s.board.findIndex(p => p === s.turn + 'K');
-  const check = isAttacked(k, opp(s.turn), s);
-  statusEl.textContent = check
-    ? (s.turn==='w' ? 'White' : 'Black') + ' is checkmated'
-    : 'Stalemate';
+// How the game on the board stands: the position (with its history)
+// or a flag fall. null while it is still running, else { result, reason }.
+function gameOutcome(){
+  if(clock?.flagged){
+    const side = clock.flagged;
+    // Running out of time only loses if the opponent could still mate
+    if(!hasMatingMaterial(state, opp(side))) return { result: '1/2-1/2', reason: 'timeout vs insufficient material' };
+    return { result: side === 'w' ? '0-1' : '1-0', reason: 'time' };
+  }
+  return outcome(game.positions.slice(0, game.ply + 1));
+}
+
+// Checks the game on the board for its end and shows the reason in the
+// status line
+function gameOver(){
+  const o = gameOutcome();
+  if(!o) return false;
+
+  if(o.reason === 'time') statusEl.textContent = (clock.flagged==='w' ? 'White' : 'Black') + ' lost on time';
+  else if(o.reason === 'checkmate') statusEl.textContent = (state.turn==='w' ? 'White' : 'Black') + ' is checkmated';
+  else if(o.reason === 'stalemate') statusEl.textContent = 'Stalemate';
+  else statusEl.textContent = 'Draw by ' + o.reason;
   return true;
 }
 
 function updateStatus(){
-  const k = state.board.findIndex(p => p === state.turn + 'K');
-  const inCk = isAttacked(k, opp(state.turn), state);
+  const inCk = inCheck(state);
   const base = `${state.turn==='w' ? 'White' : 'Black'} to move`;
-  statusEl.textContent = inCk ? base + ' — check!' : base;
+  const note = tbNote?.state === state ? ' · ' + tbNote.text : '';
+  statusEl.textContent = (inCk ? base + ' — check!' : base) + note;
 }
 
-// Tiny evaluation + negamax(alpha-beta) for 1..4 ply
-const INF = 1e9;
-function evaluate(s){
-  // Material
-  let score = 0;
-  for(let i=0; i<64; i++){
-    const p = s.board[i]; if(!p) continue;
-    score += (p[0]==='w' ? 1 : -1) * (VAL[p[1]] || 0);
-  }
-  // Mobility (very small nudge)
-  const ms = genMoves(s).length;
-  const s2 = cloneState(s); s2.turn = opp(s.turn);
-  const mo = genMoves(s2).length;
-  score += (s.turn==='w' ? 1 : -1) * (ms - mo) * 1.5;
-  return score;
-}
-function evalStatic(s){ const e = evaluate(s); return s.turn==='w' ? e : -e; }
-function orderMoves(moves,s){
-  // Captures first (basic MVV/LVA-ish)
-  const B=s.board;
-  return moves.slice().sort((a,b)=>{
-    const ca = a.flags?.capture ? (VAL[B[a.to]?.[1]||'P'] - VAL[B[a.from][1]]) : -1e6;
-    const cb = b.flags?.capture ? (VAL[B[b.to]?.[1]||'P'] - VAL[B[b.from][1]]) : -1e6;
-    return cb - ca;
-  });
-}
-function negamax(s, depth, alpha, beta){
-  if(depth === 0) return { score: evalStatic(s) };
-  const moves = genMoves(s);
-  if(moves.length === 0){
-    const k = s.board.findIndex(p => p === s.turn + 'K');
-    const inCheck = isAttacked(k, opp(s.turn), s);
-    return { score: inCheck ? -INF : 0 };
-  }
-  let best = { score: -INF, move: null };
-  for(const m of orderMoves(moves, s)){
-    const s2 = makeMove(cloneState(s), m);
-    const { score } = negamax(s2, depth-1, -beta, -alpha);
-    const n = -score;
-    if(n > best.score) best = { score: n, move: m };
-    if(n > alpha) alpha = n;
-    if(alpha >= beta) break; // cutoff
-  }
-  return best;
-}
-
-// Orchestrate an AI move based on the difficulty slider (0..4)
-async function aiMove(){
-  if(aiThinking) return;
+// Orchestrate an AI move at the side's skill level (1–20) within the
+// think-time limit. `step` plays one move of a paused AI vs AI game.
+async function aiMove(step=false){
+  if(aiThinking || editing || reviewing || (aiPaused && gameMode() === 'ava' && !step)) return;
   aiThinking = true;
   setStatus('AI thinking…');
   await flush();
+  if(gameMode() === 'ava' && !step){
+    await waitMs(AVA_GAP_MS); // watchable pace
+    if(aiPaused || !isAiTurn(state)){ aiThinking = false; updateStatus(); return; }
+  }
 
-  const depth = +document.getElementById('difficulty').value;
-  const legal = genMoves(state);
+  const level = +document.getElementById(state.turn === 'w' ? 'diffW' : 'diffB').value;
+  const { tablebase } = skillLevel(level);
+  // On the clock the AI budgets from its remaining time instead
+  const timeMs = clock ? thinkTime(clockLeft(state.turn), clock.inc || clock.delay)
+    : +document.getElementById('thinkTime').value * 1000;
   let chosen = null;
 
-  if(depth === 0){
-    // Random legal move
-    chosen = legal[Math.floor(Math.random() * legal.length)];
+  const fromBook = bookMove();
+  if(fromBook){
+    chosen = fromBook;
+    document.getElementById('searchInfo').textContent = 'book move';
   } else {
-    // Depth-limited search
-    let best = { score: -INF, move: null };
-    let alpha = -INF, beta = INF;
-    for(const m of orderMoves(legal, state)){
-      const s2 = makeMove(cloneState(state), m);
-      const { score } = negamax(s2, depth-1, -beta, -alpha);
-      const n = -score;
-      if(n > best.score) best = { score: n, move: m };
-      if(n > alpha) alpha = n;
+    // Searched in the worker; earlier game positions count as draws.
+    // A new small ending's tables are built within the think time and
+    // then between moves; the AI searches until they are ready.
+    if(tablebase && state.board.filter(Boolean).length <= TB_MEN){
+      document.getElementById('searchInfo').textContent = 'consulting endgame tables…';
     }
-    chosen = best.move ?? legal[0];
+    const reply = await searchInWorker({
+      state, skill: level, timeMs, tablebase,
+      path: game.positions.slice(0, game.ply).map(zobrist)
+    });
+    if(!reply) return; // cancelled: the position it was for is gone
+    chosen = reply.move;
+    if(reply.tb?.result) tbNote = { text: tablebaseText(reply.tb, state.turn) };
+    if(reply.tb?.result && reply.tb.result !== 'draw') document.getElementById('searchInfo').textContent = 'tablebase · ' + tbNote.text;
+    else showSearchInfo(reply, state.turn);
+    if(reply.tb?.building) document.getElementById('searchInfo').textContent += ' · building endgame tables';
   }
 
   if(chosen) await applyMoveAnimated(chosen);
+  if(tbNote && !tbNote.state){
+    tbNote.state = state; // the verdict belongs to the position after the move
+    if(!gameOutcome()) updateStatus();
+  }
   aiThinking = false;
+  // In AI vs AI the other side replies next
+  if(!step && isAiTurn(state) && !gameOutcome()) aiMove();
 }
 
+// Tablebase verdict for the position after the AI's move, e.g.
+// "White mates in 5"; tb is from the mover's side, before its move
+function tablebaseText(tb, turn){
+  if(tb.result === 'draw') return 'tablebase draw';
+  const winner = (tb.result === 'win') === (turn === 'w') ? 'White' : 'Black';
+  return `${winner} mates in ${Math.ceil((tb.plies - 1) / 2)}`;
+}
+
+// Search statistics line, e.g. "depth 5 · eval +0.35 · 84k nodes · 21 kn/s"
+function showSearchInfo(r, turn){
+  const white = turn === 'w' ? r.score : -r.score; // score is side-to-move relative
+  const k = n => n >= 1000 ? Math.round(n / 1000) + 'k' : String(n);
+  document.getElementById('searchInfo').textContent =
+    `depth ${r.depth} · eval ${formatEval(white)} · ${k(r.nodes)} nodes · ${k(r.nps)} n/s`;
+}
+
+// A White-relative score as text: "+1.35", "-M3", or the result once mated
+function formatEval(white){
+  if(Math.abs(white) > MATE - MAX_PLY){
+    const moves = Math.ceil((MATE - Math.abs(white)) / 2);
+    if(!moves) return white > 0 ? '1-0' : '0-1';
+    return (white > 0 ? '+M' : '-M') + moves;
+  }
+  return (white >= 0 ? '+' : '') + (white / 100).toFixed(2);
+}
+
+// Post a search job to the worker; resolves with its reply, or with
+// null if the search is cancelled or another one is posted first
+function searchInWorker(job){
+  if(!aiWorker){
+    aiWorker = new Worker('ai-worker.js', { type: 'module' });
+    aiWorker.onmessage = (e) => {
+      if(!aiRequest || e.data.id !== aiRequest.id) return; // stale reply
+      const { resolve } = aiRequest;
+      aiRequest = null;
+      resolve(e.data);
+    };
+  }
+  aiRequest?.resolve(null); // a superseded search counts as cancelled
+  return new Promise(resolve => {
+    aiRequest = { id: ++aiRequestId, resolve };
+    aiWorker.postMessage({ id: aiRequestId, ...job });
+  });
+}
+
+// Abandon a running search. The worker is busy inside negamax and can't
+// read messages, so it is terminated and a fresh one made on next use.
+function cancelSearch(){
+  if(!aiRequest) return;
+  aiWorker.terminate();
+  aiWorker = null;
+  const { resolve } = aiRequest;
+  aiRequest = null;
+  aiThinking = false;
+  resolve(null);
+}
+
+// Game mode from the #mode select: 'hvh', 'w' / 'b' (the human's
+// colour against the AI) or 'ava'
+function gameMode(){ return document.getElementById('mode').value; }
+
+// True if the AI plays colour `c` in the current mode
+function isAiSide(c){
+  if(puzzle) return false; // replies in a puzzle come from its solution
+  const mode = gameMode();
+  return mode === 'ava' || ((mode === 'w' || mode === 'b') && mode !== c);
+}
+
+// True if the AI controls the side to move in `s`
+function isAiTurn(s){ return isAiSide(s.turn); }
+
 function setStatus(t){ statusEl.textContent = t; }
+
+// Screen-reader announcements through the #announcer live region.
+// Messages from the same tick are read together; the region is cleared
+// first so a repeated message is read again.
+const announcerEl = document.getElementById('announcer');
+let announceQueue = [];
+function announce(text){
+  if(!announceQueue.length){
+    announcerEl.textContent = '';
+    setTimeout(() => { announcerEl.textContent = announceQueue.join('. '); announceQueue = []; }, 50);
+  }
+  announceQueue.push(text);
+}
+
+// SAN as words: "Nbxd2+" -> "knight b takes d2, check"
+function spokenSAN(san){
+  const end = san.endsWith('#') ? ', checkmate' : san.endsWith('+') ? ', check' : '';
+  if(san.startsWith('O-O-O')) return 'castles queenside' + end;
+  if(san.startsWith('O-O')) return 'castles kingside' + end;
+  const m = san.match(/^([NBRQK])?([a-h]?[1-8]?)(x)?([a-h][1-8])(?:=([NBRQ]))?/);
+  if(!m) return san;
+  const [, piece, from, takes, to, promo] = m;
+  return [PIECE_NAME[piece || 'P'], from, takes && 'takes', to, promo && 'promotes to ' + PIECE_NAME[promo]]
+    .filter(Boolean).join(' ') + end;
+}
 function waitMs(ms){ return new Promise(r => setTimeout(r, ms)); }
 function flush(){ return new Promise(requestAnimationFrame); }
 
-/* ----------------------------
-   7) Input handling (clicks)
-   ---------------------------- */
-boardEl.addEventListener('click', (e)=>{
-  if(aiThinking) return;
+/* ------------------------------------------------
+   5b) Game review: evaluation graph and move marks
+   ------------------------------------------------ */
+// The engine searches every position of the game in turn (in the AI
+// worker). Each move is judged by how far it dropped the evaluation
+// for its side; marked moves list the line the engine preferred.
+// game.review = { evals: [White-relative score per ply], lines: [PV per ply], marks: [per move] }
+const MARK_GLYPH = { inaccuracy: '?!', mistake: '?', blunder: '??' };
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+async function runReview(){
+  if(reviewing){ cancelSearch(); return; } // the button doubles as Stop
+  if(!canNavigate() || !game.moves.length) return;
+  const g = game, review = { evals: [], lines: [], marks: [] };
+  g.review = review;
+  reviewing = true;
+  document.getElementById('reviewBtn').textContent = 'Stop Analysis';
+  renderMoveList();
+  const timeMs = +document.getElementById('reviewTime').value * 1000;
+  try{
+    for(let i=0; i<g.positions.length; i++){
+      const s = g.positions[i];
+      const o = outcome(g.positions.slice(0, i + 1));
+      if(o){
+        // Decided positions need no search
+        review.evals[i] = o.reason === 'checkmate' ? (s.turn === 'w' ? -MATE : MATE) : 0;
+        review.lines[i] = [];
+      } else {
+        const r = await searchInWorker({ state: s, depth: TIMED_DEPTH, timeMs, path: g.positions.slice(0, i).map(zobrist) });
+        if(!r || g.review !== review) return; // stopped, or the game changed
+        review.evals[i] = s.turn === 'w' ? r.score : -r.score;
+        review.lines[i] = r.pv;
+      }
+      if(i > 0) review.marks[i - 1] = judgeMove(review.evals[i - 1], review.evals[i], g.positions[i - 1].turn);
+      document.getElementById('reviewProgress').textContent = `Analysing… ${i + 1} / ${g.positions.length}`;
+      if(game === g) renderMoveList();
+    }
+    document.getElementById('reviewProgress').textContent = reviewSummary(g);
+  } finally {
+    reviewing = false;
+    document.getElementById('reviewBtn').textContent = 'Analyse Game';
+    if(game === g) renderMoveList();
+  }
+}
 
-  // Translate click to visual cell
-  const rect = boardEl.getBoundingClientRect();
-  const x = e.clientX - rect.left;
-  const y = e.clientY - rect.top;
+// Drop the review of the current game (it no longer matches the moves)
+function stopReview(){
+  if(!game.review) return;
+  if(reviewing) cancelSearch();
+  game.review = null;
+}
+
+// "White: 1 inaccuracy, 2 mistakes · Black: 1 blunder"
+function reviewSummary(g){
+  const side = turn => {
+    const n = {};
+    g.review.marks.forEach((m, i) => { if(m && g.positions[i].turn === turn) n[m] = (n[m] || 0) + 1; });
+    const parts = Object.keys(MARK_GLYPH).filter(k => n[k]).map(k => `${n[k]} ${k}${n[k] > 1 ? 's' : ''}`);
+    return (turn === 'w' ? 'White: ' : 'Black: ') + (parts.join(', ') || 'clean');
+  };
+  return side('w') + ' · ' + side('b');
+}
+
+// A line of moves from `s` with move numbers: "12...Bd6 13.Nf3 O-O"
+function formatLine(s, moves){
+  let n = s.fullmove, turn = s.turn;
+  return lineToSAN(s, moves).map((san, i) => {
+    const num = turn === 'w' ? `${n}.` : i === 0 ? `${n}...` : '';
+    if(turn === 'b') n++;
+    turn = opp(turn);
+    return num + san;
+  }).join(' ');
+}
 
-  let col = Math.floor(x / SQ);
-  let visRow = Math.floor(y / SQ);
-  if(col < 0 || col > 7 || visRow < 0 || visRow > 7) return;
+// Graph (SVG, White's advantage filled from the bottom) and the list of
+// marked moves. Evaluations are squashed so small edges still show.
+function renderReview(){
+  const r = game.review;
+  document.getElementById('review').hidden = !r;
+  if(!r) return;
+  const W = 300, H = 80, last = Math.max(1, game.positions.length - 1);
+  const x = ply => ply / last * W;
+  const y = cp => H / 2 - Math.tanh(Math.max(-1000, Math.min(1000, cp)) / 400) * (H / 2 - 2);
+  const svg = document.getElementById('evalGraph');
+  svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
+  svg.innerHTML = '';
+  const add = (tag, attrs) => {
+    const el = document.createElementNS(SVG_NS, tag);
+    for(const k in attrs) el.setAttribute(k, attrs[k]);
+    svg.appendChild(el);
+    return el;
+  };
+  const pts = r.evals.map((e, i) => `${x(i).toFixed(1)},${y(e).toFixed(1)}`);
+  if(pts.length) add('path', { class: 'area', d: `M0,${H} L${pts.join(' L')} L${x(r.evals.length - 1).toFixed(1)},${H} Z` });
+  add('line', { class: 'mid', x1: 0, y1: H / 2, x2: W, y2: H / 2 });
+  add('line', { class: 'cur', x1: x(game.ply), y1: 0, x2: x(game.ply), y2: H });
+  r.marks.forEach((m, i) => {
+    if(m) add('circle', { class: m, cx: x(i + 1), cy: y(r.evals[i + 1]), r: 3.5 });
+  });
+
+  const list = document.getElementById('reviewList');
+  list.innerHTML = '';
+  r.marks.forEach((m, i) => {
+    if(!m) return;
+    const before = game.positions[i];
+    const li = document.createElement('li');
+    li.className = m;
+    li.dataset.ply = i + 1;
+    li.textContent = `${formatLine(before, [game.moves[i]])}${MARK_GLYPH[m]} ${m} ` +
+      `(${formatEval(r.evals[i])} → ${formatEval(r.evals[i + 1])})` +
+      (r.lines[i]?.length ? ` · best: ${formatLine(before, r.lines[i])}` : '');
+    list.appendChild(li);
+  });
+}
+
+// Clicking the graph or a listed move shows the position after that move
+document.getElementById('evalGraph').addEventListener('click', (e)=>{
+  if(!canNavigate()) return;
+  const rect = e.currentTarget.getBoundingClientRect();
+  goToPly(Math.round((e.clientX - rect.left) / rect.width * (game.positions.length - 1)));
+});
+document.getElementById('reviewList').addEventListener('click', (e)=>{
+  const li = e.target.closest('li');
+  if(li && canNavigate()) goToPly(+li.dataset.ply);
+});
+document.getElementById('reviewBtn').addEventListener('click', runReview);
+
+/* ------------------------------------------------
+   5c) Live analysis: eval bar, multi-PV and arrow
+   ------------------------------------------------ */
+// While switched on, the position on the board is searched with no time
+// limit in a worker of its own (the AI keeps its own), and the search
+// restarts whenever the position changes. Lines arrive per depth.
+const LIVE_DEPTH = 32;
+let liveWorker = null;
+let liveKey = null;      // FEN + line count being analysed
+let liveState = null;    // the position `liveResult` belongs to
+let liveResult = null;   // latest { lines, depth, nodes, nps } for it
+let liveTimer = 0;
+
+function liveOn(){ return document.getElementById('liveToggle').checked; }
+
+// Every board render ends here; waits for drags and animations to settle
+function scheduleLive(){
+  clearTimeout(liveTimer);
+  liveTimer = setTimeout(startLive, 120);
+}
+
+function stopLive(){
+  if(liveWorker){ liveWorker.terminate(); liveWorker = null; }
+  liveKey = liveState = liveResult = null;
+}
+
+function startLive(){
+  if(!liveOn()){ stopLive(); renderLive(); return; }
+  const count = +document.getElementById('pvCount').value;
+  const key = toFEN(state) + ' ' + count;
+  if(key === liveKey){ renderLive(); return; } // same position (e.g. a flip)
+  stopLive();
+  liveKey = key;
+  liveState = state;
+  if(!positionProblems(state).length && genMoves(state).length){
+    liveWorker = new Worker('ai-worker.js', { type: 'module' });
+    liveWorker.onmessage = (e) => { liveResult = e.data; renderLive(); };
+    const path = editing ? [] : game.positions.slice(0, game.ply).map(zobrist);
+    liveWorker.postMessage({ id: 0, state, depth: LIVE_DEPTH, timeMs: Infinity, path, lines: count });
+  }
+  renderLive();
+}
+
+function renderLive(){
+  const on = liveOn();
+  document.getElementById('livePanel').hidden = !on;
+  document.getElementById('evalBar').hidden = !on;
+  drawArrow();
+  if(!on || !liveState) return;
+
+  const info = document.getElementById('liveInfo');
+  const list = document.getElementById('liveLines');
+  list.innerHTML = '';
+  let white = 0;
+  if(positionProblems(liveState).length) info.textContent = 'Not a playable position';
+  else if(!genMoves(liveState).length){
+    const mated = inCheck(liveState);
+    info.textContent = mated ? 'Checkmate' : 'Stalemate';
+    if(mated) white = liveState.turn === 'w' ? -MATE : MATE;
+  } else if(!liveResult) info.textContent = 'Searching…';
+  else {
+    const k = n => n >= 1000 ? Math.round(n / 1000) + 'k' : String(n);
+    info.textContent = `depth ${liveResult.depth} · ${k(liveResult.nodes)} nodes · ${k(liveResult.nps)} n/s`;
+    const sign = liveState.turn === 'w' ? 1 : -1;
+    white = sign * liveResult.lines[0].score;
+    for(const line of liveResult.lines){
+      const li = document.createElement('li');
+      const ev = document.createElement('span');
+      ev.className = 'ev';
+      ev.textContent = formatEval(sign * line.score);
+      li.append(ev, ' ' + formatLine(liveState, line.pv));
+      list.appendChild(li);
+    }
+  }
+
+  // White's share of the bar, from its own side of the board
+  const bar = document.getElementById('evalBar');
+  const share = Math.abs(white) > MATE - MAX_PLY ? (white > 0 ? 100 : 0) : 50 + 50 * Math.tanh(white / 400);
+  bar.classList.toggle('flipped', !perspectiveWhite);
+  bar.querySelector('.fill').style.height = share.toFixed(1) + '%';
+  bar.title = info.textContent.startsWith('depth') ? formatEval(white) : info.textContent;
+}
+
+// Arrow for the engine's best move (only while it is for this position)
+function drawArrow(){
+  const svg = document.getElementById('arrows');
+  svg.innerHTML = '';
+  const m = liveOn() && liveState === state && liveResult?.lines[0]?.move;
+  if(!m) return;
+  const to = m.flags.castle ? castleSquares(state, state.turn + m.flags.castle).kingTo : m.to;
+  const a = squareToXY(m.from), b = squareToXY(to);
+  const [x1, y1, x2, y2] = [a.x, a.y, b.x, b.y].map(v => v + SQ / 2);
+  // Stop short of the target centre so the head sits on the square
+  const len = Math.hypot(x2 - x1, y2 - y1), cut = SQ * 0.3 / len;
+  svg.innerHTML = `<defs><marker id="arrowHead" markerWidth="4" markerHeight="4" refX="2" refY="2" orient="auto">` +
+    `<path d="M0,0 L4,2 L0,4 Z"/></marker></defs>` +
+    `<line x1="${x1}" y1="${y1}" x2="${x2 - (x2 - x1) * cut}" y2="${y2 - (y2 - y1) * cut}" marker-end="url(#arrowHead)"/>`;
+}
+
+document.getElementById('liveToggle').addEventListener('change', startLive);
+document.getElementById('pvCount').addEventListener('change', startLive);
+
+/* ------------------------------------------------
+   5d) Puzzle trainer
+   ------------------------------------------------ */
+// Puzzles come from puzzles.json (see parsePuzzles). The user plays the
+// side to move in the puzzle's FEN and the opponent's replies from the
+// solution are played for them. A wrong move or a hint fails the
+// puzzle for rating purposes, though it can still be finished. Rating,
+// streak and the puzzles seen are kept in the store under `puzzles`.
+const PUZZLE_REPLY_MS = 500;
+let puzzleSet = null; // parsed puzzles.json, fetched on first use
+let puzzle = null;    // { p, side, scored, failed, hints, done } while one is on the board
+
+function puzzleStats(){
+  return store.puzzles ||= { rating: 1200, streak: 0, best: 0, solved: 0, tried: 0, seen: [] };
+}
+
+// The unseen puzzle rated closest to the user (once all are seen, all
+// count as unseen again)
+function pickPuzzle(set, stats){
+  let pool = set.filter(p => !stats.seen.includes(p.id));
+  if(!pool.length){ stats.seen = []; pool = set; }
+  const dist = p => Math.abs(p.rating - stats.rating);
+  return pool.reduce((a, b) => dist(b) < dist(a) ? b : a);
+}
+
+async function nextPuzzle(){
+  try{
+    puzzleSet ||= parsePuzzles(await (await fetch('puzzles.json')).text());
+  } catch(err){
+    renderPuzzle('Puzzles could not be loaded: ' + err.message);
+    return;
+  }
+  const p = pickPuzzle(puzzleSet, puzzleStats());
+  cancelSearch();
+  resetHistory(fromFEN(p.fen)); // also ends the previous puzzle
+  stopClock(); clock = null; renderClocks(); // puzzles are untimed
+  puzzle = { p, side: state.turn, scored: false, failed: false, hints: 0, done: false };
+  perspectiveWhite = puzzle.side === 'w';
+  selected = null; clearHighlights(); renderPieces();
+  renderPuzzle(`${puzzle.side === 'w' ? 'White' : 'Black'} to play. Find the best move.`);
+}
+
+function endPuzzle(){
+  if(!puzzle) return;
+  puzzle = null;
+  document.getElementById('puzzlePanel').hidden = true;
+}
+
+// Moves are only the user's on the solver's turn of an unsolved puzzle
+function puzzleLocked(){ return !!puzzle && (puzzle.done || state.turn !== puzzle.side); }
+
+// Record the result of the puzzle on the board (only its first one counts)
+function scorePuzzle(solved){
+  const st = puzzleStats();
+  st.rating = puzzleRating(st.rating, puzzle.p.rating, solved);
+  st.tried++;
+  if(solved){ st.solved++; st.streak++; st.best = Math.max(st.best, st.streak); }
+  else st.streak = 0;
+  if(!st.seen.includes(puzzle.p.id)) st.seen.push(puzzle.p.id);
+  puzzle.scored = true;
+  puzzle.failed = !solved;
+  writeStore();
+}
+
+// Check a move the user is about to play against the solution
+function puzzleAccepts(mv){
+  if(!puzzle || solvesPuzzle(puzzle.p, game.ply, state, mv)) return true;
+  if(!puzzle.scored) scorePuzzle(false);
+  renderPuzzle(`${moveToSAN(state, mv)} is not it. Try again, or take a hint.`);
+  return false;
+}
+
+// After every move of a puzzle: done, or play the opponent's reply
+async function puzzleStep(){
+  const current = puzzle;
+  if(game.ply >= current.p.moves.length || gameOutcome()){
+    if(!current.scored) scorePuzzle(true);
+    current.done = true;
+    renderPuzzle(current.failed ? 'Solved (not counted: a miss or a hint came first).' : 'Solved!');
+    return;
+  }
+  if(state.turn === current.side){ renderPuzzle('Your move.'); return; }
+  renderPuzzle('Correct! Keep going.');
+  await waitMs(PUZZLE_REPLY_MS);
+  if(puzzle !== current) return; // left or replaced meanwhile
+  applyMoveAnimated(genMoves(state).find(m => moveToCoord(m) === current.p.moves[game.ply]));
+}
+
+// First hint: the piece to move; after that its target square as well
+function puzzleHint(){
+  if(!puzzle || puzzleLocked()) return;
+  if(!puzzle.scored) scorePuzzle(false);
+  const m = genMoves(state).find(m => moveToCoord(m) === puzzle.p.moves[game.ply]);
+  puzzle.hints++;
+  selected = null;
+  highlight(m.from, puzzle.hints > 1 ? [m] : []);
+  const at = `${PIECE_NAME[state.board[m.from][1]]} on ${idxToAlg(m.from)}`;
+  renderPuzzle(puzzle.hints > 1 ? `Move the ${at} to ${idxToAlg(m.to)}.` : `Move the ${at}.`);
+}
+
+// Puzzle panel: message, the puzzle's rating and themes once it's over,
+// and the user's statistics
+function renderPuzzle(text){
+  document.getElementById('puzzlePanel').hidden = false;
+  document.getElementById('puzzleText').textContent = text;
+  announce(text);
+  const st = puzzleStats();
+  document.getElementById('puzzleStats').textContent =
+    `Rating ${st.rating} · streak ${st.streak} (best ${st.best}) · solved ${st.solved}/${st.tried}`;
+  document.getElementById('puzzleInfo').textContent = !puzzle ? '' :
+    puzzle.done ? `${puzzle.p.id} · rated ${puzzle.p.rating} · ${puzzle.p.themes.join(', ')}` : puzzle.p.id;
+  document.getElementById('hintBtn').disabled = !puzzle || puzzle.done;
+}
+
+document.getElementById('puzzleBtn').addEventListener('click', nextPuzzle);
+document.getElementById('nextPuzzle').addEventListener('click', nextPuzzle);
+document.getElementById('hintBtn').addEventListener('click', puzzleHint);
+document.getElementById('exitPuzzle').addEventListener('click', ()=> newGame());
+
+/* ------------------------------------------------
+   5e) Opening book and opening names
+   ------------------------------------------------ */
+// A Polyglot book is read from book.bin next to the page when there is
+// one, or from a file picked with "Load book…" (kept until reload).
+// While the position is in the book, the AI (at any level) plays a
+// weighted-random book move instead of searching. Opening names come
+// from eco.json.
+let book = null;         // { view, size, name }
+let openingIndex = null; // Polyglot key -> { eco, name }
+
+function useBook(){ return document.getElementById('useBook').checked; }
+
+async function loadDefaultBook(){
+  try{
+    const res = await fetch('book.bin');
+    if(res.ok) setBook(await res.arrayBuffer(), 'book.bin');
+  } catch(_){} // no book next to the page
+}
+
+function setBook(bytes, name){
+  book = { ...readBook(bytes), name };
+  renderBookInfo();
+}
+
+async function loadOpenings(){
+  try{ openingIndex = indexOpenings(await (await fetch('eco.json')).json()); } catch(_){}
+  renderBookInfo();
+}
+
+// The AI's book move for the position on the board, or null
+function bookMove(){
+  if(!book || !useBook()) return null;
+  const entries = bookMoves(book, state);
+  return entries.length ? pickBookMove(entries) : null;
+}
+
+// "In book" indicator with the name of the opening on the board
+function renderBookInfo(){
+  const el = document.getElementById('bookInfo');
+  const inBook = !!book && useBook() && !editing && bookMoves(book, state).length > 0;
+  const opening = openingIndex && !editing && openingName(openingIndex, game.positions.slice(0, game.ply + 1));
+  el.textContent = [inBook && 'In book', opening && `${opening.eco} ${opening.name}`].filter(Boolean).join(' · ');
+  el.classList.toggle('in-book', inBook);
+  document.getElementById('bookName').textContent = book ? `${book.name} (${book.size} entries)` : 'No book loaded';
+}
+
+document.getElementById('bookBtn').addEventListener('click', ()=> document.getElementById('bookFile').click());
+document.getElementById('bookFile').addEventListener('change', async (e)=>{
+  const f = e.target.files[0];
+  if(!f) return;
+  try{ setBook(await f.arrayBuffer(), f.name); }
+  catch(err){ alert('Book could not be loaded: ' + err.message); }
+  e.target.value = '';
+});
+document.getElementById('useBook').addEventListener('change', renderBookInfo);
+
+/* --------------------------------------------
+   6) Input handling (pointer: click or drag)
+   -------------------------------------------- */
+// Mouse, pen and touch all arrive as pointer events. Pressing on one of
+// the human's pieces selects it (target dots appear); releasing in place
+// leaves it selected for click-to-move, dragging carries it along.
+let drag = null; // { el, from, x, y, moving } while a piece is held
+
+// Board square under a viewport point, or -1 if outside the board.
+// Uses the rendered size, so it holds for any --sq.
+function squareAt(clientX, clientY){
+  const rect = boardEl.getBoundingClientRect();
+  const col = Math.floor((clientX - rect.left) / (rect.width / 8));
+  const visRow = Math.floor((clientY - rect.top) / (rect.height / 8));
+  if(col < 0 || col > 7 || visRow < 0 || visRow > 7) return -1;
 
   // Convert visual row/col to board file/rank under current perspective
   const f = perspectiveWhite ? col : (7 - col);
   const r = perspectiveWhite ? (7 - visRow) : visRow;
-  const sq = idx(f,r);
-
-  // Determine which side is human based on the checkbox
-  const humanIsWhite = document.getElementById('aiPlaysBlack').checked; // AI black => human white
-  const humanTurn = humanIsWhite ? 'w' : 'b';
-
-  if(selected){
-    // Try to complete a move if the clicked square is one of the targets
-    const mv = selected.moves.find(m => m.to === sq);
-    if(mv){
-      selected = null; clearHighlights();
-      applyMoveAnimated(mv);
-      return;
-    }
-  }
+  return idx(f,r);
+}
 
-  // Otherwise (re)select a piece if it's the human side's turn
+// (Re)select the piece on `sq` if it belongs to the human side to move;
+// otherwise clear the selection. Returns true if something is selected.
+function selectSquare(sq){
   const p = state.board[sq];
-  if(p && p[0] === state.turn && p[0] === humanTurn){
+  if(p && p[0] === state.turn && !isAiTurn(state) && !puzzleLocked()){
     const legal = genMoves(state).filter(m => m.from === sq);
     if(legal.length){
       selected = { from: sq, moves: legal };
       highlight(sq, legal);
+      return true;
+    }
+  }
+  selected = null; clearHighlights();
+  return false;
+}
+
+// The selected piece's moves to `sq` (Chess960 castling: the rook's or
+// the king's landing square)
+function targetsFor(sq){
+  return selected ? movesTo(state, selected.moves, sq) : [];
+}
+
+// Play the selected piece to `sq` if that is one of its targets.
+// Resolves false if it isn't, or if the promotion picker was dismissed.
+async function moveSelectedTo(sq){
+  const targets = targetsFor(sq);
+  if(!targets.length) return false;
+  let mv = targets[0];
+  // Several moves to one square means a promotion: ask for the piece
+  if(targets.length > 1){
+    const piece = await pickPromotion(state.turn);
+    if(!piece) return false; // dismissed: keep the selection
+    mv = targets.find(m => m.flags.promo === piece);
+  }
+  if(!puzzleAccepts(mv)) return false;
+  selected = null; clearHighlights();
+  applyMoveAnimated(mv);
+  return true;
+}
+
+boardEl.addEventListener('pointerdown', (e)=>{
+  if(editing) return; // the position editor has its own handlers
+  if(e.button !== 0 || drag) return; // primary button / first finger only
+  if(aiThinking || gameOutcome()) return;
+  const sq = squareAt(e.clientX, e.clientY);
+  if(sq < 0) return;
+
+  // Second click of click-to-move
+  if(targetsFor(sq).length){
+    moveSelectedTo(sq);
+    return;
+  }
+
+  if(selectSquare(sq)){
+    e.preventDefault();
+    boardEl.setPointerCapture(e.pointerId); // keep receiving moves off the board
+    drag = { el: pieceDom.get(sq), from: sq, x: e.clientX, y: e.clientY, moving: false };
+  }
+});
+
+boardEl.addEventListener('pointermove', (e)=>{
+  if(!drag) return;
+  // A few pixels of jitter still count as a click
+  if(!drag.moving){
+    if(Math.hypot(e.clientX - drag.x, e.clientY - drag.y) < 4) return;
+    drag.moving = true;
+    drag.el.classList.add('dragging');
+  }
+  // Keep the piece centred under the pointer
+  const rect = boardEl.getBoundingClientRect();
+  const half = rect.width / 16;
+  drag.el.style.transform = `translate(${e.clientX - rect.left - half}px, ${e.clientY - rect.top - half}px)`;
+});
+
+async function endDrag(e, cancelled){
+  if(!drag) return;
+  const { el, from, moving } = drag;
+  drag = null;
+  if(!moving) return; // plain click: the piece stays selected
+  el.classList.remove('dragging');
+  const sq = cancelled ? -1 : squareAt(e.clientX, e.clientY);
+  if(sq !== from && await moveSelectedTo(sq)) return;
+  movePieceElementTo(el, from); // illegal drop: slide back, keep the selection
+}
+boardEl.addEventListener('pointerup', e => endDrag(e, false));
+boardEl.addEventListener('pointercancel', e => endDrag(e, true));
+
+/* -------------------------------------------
+   6b) Keyboard: board focus and typed moves
+   ------------------------------------------- */
+// Arrow keys walk the focus over the squares as drawn; Enter or Space
+// acts like a click (select, then move); Escape drops the selection.
+const ARROWS = { ArrowUp:[-1,0], ArrowDown:[1,0], ArrowLeft:[0,-1], ArrowRight:[0,1] };
+
+function focusSquare(sq){
+  focusSq = sq;
+  boardEl.querySelectorAll('.sq').forEach(cell => cell.tabIndex = +cell.dataset.sq === sq ? 0 : -1);
+  atGridSquare(sq)?.focus();
+}
+
+boardEl.addEventListener('focusin', (e)=>{
+  const cell = e.target.closest('.sq');
+  if(cell) focusSq = +cell.dataset.sq;
+});
+
+boardEl.addEventListener('keydown', (e)=>{
+  if(ARROWS[e.key]){
+    e.preventDefault();
+    const { x, y } = squareToXY(focusSq);
+    const row = Math.round(y / SQ) + ARROWS[e.key][0];
+    const col = Math.round(x / SQ) + ARROWS[e.key][1];
+    if(row >= 0 && row < 8 && col >= 0 && col < 8) focusSquare(squareAtCell(row, col));
+  } else if(editing){
+    editKey(e);
+  } else if(e.key === 'Enter' || e.key === ' '){
+    e.preventDefault();
+    if(aiThinking || gameOutcome()) return;
+    if(targetsFor(focusSq).length){ moveSelectedTo(focusSq); return; }
+    if(selectSquare(focusSq)){
+      const p = state.board[focusSq];
+      const targets = [];
+      for(let sq = 0; sq < 64; sq++) if(targetsFor(sq).length) targets.push(idxToAlg(sq));
+      announce(PIECE_NAME[p[1]] + ' ' + idxToAlg(focusSq) + ' selected, moves to ' + targets.join(', '));
     } else {
-      selected = null; clearHighlights();
+      announce('No move from ' + idxToAlg(focusSq));
     }
-  } else {
+  } else if(e.key === 'Escape' && selected){
     selected = null; clearHighlights();
+    announce('Selection cleared');
+  }
+});
+
+// Typed moves: coordinates ("e2e4", "e7e8q") or SAN ("Nf3", "exd5", "O-O")
+const moveInEl = document.getElementById('moveIn');
+function playTypedMove(){
+  const text = moveInEl.value.trim();
+  if(!text) return;
+  let mv = null, err = null;
+  if(editing || aiThinking || gameOutcome() || isAiTurn(state) || puzzleLocked()) err = 'Not your move';
+  else {
+    mv = genMoves(state).find(m => moveToCoord(m) === text.toLowerCase().replace('-', ''));
+    if(!mv){
+      try{ mv = sanToMove(state, text); } catch(e){ err = e.message; }
+    }
   }
+  moveInEl.setAttribute('aria-invalid', err ? 'true' : 'false');
+  if(err){ announce(err); return; }
+  if(!puzzleAccepts(mv)) return;
+  moveInEl.value = '';
+  selected = null; clearHighlights();
+  applyMoveAnimated(mv);
+}
+moveInEl.addEventListener('keydown', (e)=>{
+  if(e.key === 'Enter'){ e.preventDefault(); playTypedMove(); }
 });
+moveInEl.addEventListener('input', () => moveInEl.removeAttribute('aria-invalid'));
+
+/* ------------------------------------------
+   6c) Position editor (set up a position)
+   ------------------------------------------ */
+// While editing, `state` is the position being built; it only becomes a
+// game once it passes positionProblems(). Place the palette piece by
+// clicking (or Enter on a focused square), drag pieces around or off
+// the board, remove with a right-click (or Delete).
+const editorEl = document.getElementById('editor');
+const paletteEl = document.getElementById('palette');
+const RIGHTS = ['wK', 'wQ', 'bK', 'bQ'];
+let editDrag = null;   // { el, from, x, y, moving } for a piece on the board
+let paletteDrag = null; // { el, piece, x, y, moving } for a piece from the palette
+
+function buildPalette(){
+  for(const p of ['wK','wQ','wR','wB','wN','wP','bK','bQ','bR','bB','bN','bP', '']){
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'palette-piece piece ' + (p ? (p[0]==='w' ? 'white' : 'black') : 'eraser');
+    if(p) setPieceFace(btn, p); else btn.textContent = '✕';
+    btn.dataset.piece = p;
+    btn.setAttribute('aria-label', p ? (p[0]==='w' ? 'white ' : 'black ') + PIECE_NAME[p[1]] : 'remove piece');
+    paletteEl.appendChild(btn);
+  }
+}
+
+function openEditor(){
+  if(editing) return;
+  cancelSearch();
+  stopClock();
+  selected = null; clearHighlights();
+  editing = { piece: 'wP' };
+  state = { ...cloneState(state), halfmove: 0, fullmove: 1 };
+  editorEl.hidden = false;
+  document.getElementById('editBtn').disabled = true;
+  renderMoveList(); // navigation is off while editing
+  refreshEditor();
+}
+
+function closeEditor(){
+  if(!editing) return;
+  editing = null;
+  editorEl.hidden = true;
+  document.getElementById('editBtn').disabled = false;
+}
+
+// Put `piece` (or nothing) on `sq`, dropping castling and en passant
+// settings the new placement rules out
+function editSet(sq, piece){
+  state.board[sq] = piece || null;
+  refreshEditor();
+}
+
+function refreshEditor(){
+  for(const r of RIGHTS) state.castling[r] &&= castlingPossible(state, r);
+  if(!epSquares(state).includes(state.ep)) state.ep = -1;
+  renderPieces();
+
+  document.getElementById('editTurn').value = state.turn;
+  for(const r of RIGHTS){
+    const box = document.getElementById('castle' + r);
+    box.checked = state.castling[r];
+    box.disabled = !castlingPossible(state, r);
+  }
+  const epSel = document.getElementById('editEp');
+  epSel.innerHTML = '<option value="-1">none</option>' +
+    epSquares(state).map(i => `<option value="${i}">${idxToAlg(i)}</option>`).join('');
+  epSel.value = state.ep;
+
+  paletteEl.querySelectorAll('button').forEach(b => b.setAttribute('aria-pressed', b.dataset.piece === editing.piece));
+  const problems = positionProblems(state);
+  const list = document.getElementById('editProblems');
+  list.innerHTML = '';
+  for(const p of problems){
+    const li = document.createElement('li');
+    li.textContent = p;
+    list.appendChild(li);
+  }
+  document.getElementById('editDone').disabled = problems.length > 0;
+  setStatus(problems.length ? 'Setting up a position' : 'Position ready to play');
+}
+
+function editKey(e){
+  if(e.key === 'Enter' || e.key === ' '){
+    e.preventDefault();
+    editSet(focusSq, editing.piece);
+    announce(editing.piece ? `${PIECE_NAME[editing.piece[1]]} placed on ${idxToAlg(focusSq)}` : idxToAlg(focusSq) + ' cleared');
+  } else if(e.key === 'Delete' || e.key === 'Backspace'){
+    e.preventDefault();
+    editSet(focusSq, null);
+    announce(idxToAlg(focusSq) + ' cleared');
+  }
+}
+
+// Piece elements follow the pointer the same way as in play
+function dragTo(el, e){
+  const rect = boardEl.getBoundingClientRect();
+  const half = rect.width / 16;
+  el.style.transform = `translate(${e.clientX - rect.left - half}px, ${e.clientY - rect.top - half}px)`;
+}
+
+boardEl.addEventListener('contextmenu', (e)=>{ if(editing) e.preventDefault(); });
+
+boardEl.addEventListener('pointerdown', (e)=>{
+  if(!editing || editDrag) return;
+  const sq = squareAt(e.clientX, e.clientY);
+  if(sq < 0) return;
+  e.preventDefault();
+  if(e.button === 2){ editSet(sq, null); return; }
+  if(e.button !== 0) return;
+  if(state.board[sq]){
+    boardEl.setPointerCapture(e.pointerId);
+    editDrag = { el: pieceDom.get(sq), from: sq, x: e.clientX, y: e.clientY, moving: false };
+  } else {
+    editSet(sq, editing.piece);
+  }
+});
+
+boardEl.addEventListener('pointermove', (e)=>{
+  if(!editDrag) return;
+  if(!editDrag.moving){
+    if(Math.hypot(e.clientX - editDrag.x, e.clientY - editDrag.y) < 4) return;
+    editDrag.moving = true;
+    editDrag.el.classList.add('dragging');
+  }
+  dragTo(editDrag.el, e);
+});
+
+function endEditDrag(e, cancelled){
+  if(!editDrag) return;
+  const { from, moving } = editDrag;
+  editDrag = null;
+  if(!moving){
+    // A click on a piece replaces it with the palette piece
+    if(editing.piece !== state.board[from]) editSet(from, editing.piece);
+    return;
+  }
+  if(cancelled){ refreshEditor(); return; }
+  const to = squareAt(e.clientX, e.clientY);
+  const piece = state.board[from];
+  state.board[from] = null;
+  if(to >= 0) state.board[to] = piece; // dropped off the board: removed
+  refreshEditor();
+}
+boardEl.addEventListener('pointerup', e => endEditDrag(e, false));
+boardEl.addEventListener('pointercancel', e => endEditDrag(e, true));
+
+// Palette: a click picks the piece to place, a drag drops one on a square
+paletteEl.addEventListener('pointerdown', (e)=>{
+  const btn = e.target.closest('button');
+  if(!btn || e.button !== 0) return;
+  editing.piece = btn.dataset.piece;
+  refreshEditor();
+  if(!editing.piece) return;
+  btn.setPointerCapture(e.pointerId);
+  paletteDrag = { el: null, piece: editing.piece, x: e.clientX, y: e.clientY };
+});
+paletteEl.addEventListener('pointermove', (e)=>{
+  if(!paletteDrag) return;
+  if(!paletteDrag.el){
+    if(Math.hypot(e.clientX - paletteDrag.x, e.clientY - paletteDrag.y) < 4) return;
+    const el = document.createElement('div');
+    el.className = 'piece dragging ' + (paletteDrag.piece[0]==='w' ? 'white' : 'black');
+    setPieceFace(el, paletteDrag.piece);
+    boardEl.appendChild(el);
+    paletteDrag.el = el;
+  }
+  dragTo(paletteDrag.el, e);
+});
+function endPaletteDrag(e, cancelled){
+  if(!paletteDrag) return;
+  const { el, piece } = paletteDrag;
+  paletteDrag = null;
+  if(!el) return;
+  el.remove();
+  const sq = cancelled ? -1 : squareAt(e.clientX, e.clientY);
+  if(sq >= 0) editSet(sq, piece);
+}
+paletteEl.addEventListener('pointerup', e => endPaletteDrag(e, false));
+paletteEl.addEventListener('pointercancel', e => endPaletteDrag(e, true));
+// Keyboard users pick with Enter/Space (pointer presses are handled above)
+paletteEl.addEventListener('keydown', (e)=>{
+  const btn = e.target.closest('button');
+  if(!btn || (e.key !== 'Enter' && e.key !== ' ')) return;
+  e.preventDefault();
+  editing.piece = btn.dataset.piece;
+  refreshEditor();
+});
+
+document.getElementById('editBtn').addEventListener('click', openEditor);
+document.getElementById('editTurn').addEventListener('change', (e)=>{
+  state.turn = e.target.value;
+  refreshEditor();
+});
+for(const r of RIGHTS){
+  document.getElementById('castle' + r).addEventListener('change', (e)=>{
+    state.castling[r] = e.target.checked;
+    refreshEditor();
+  });
+}
+document.getElementById('editEp').addEventListener('change', (e)=>{
+  state.ep = +e.target.value;
+  refreshEditor();
+});
+document.getElementById('editStart').addEventListener('click', ()=>{
+  state = startPosition();
+  refreshEditor();
+});
+document.getElementById('editClear').addEventListener('click', ()=>{
+  state = { ...startPosition(), board: Array(64).fill(null) };
+  refreshEditor();
+});
+document.getElementById('editDone').addEventListener('click', ()=>{
+  if(positionProblems(state).length) return;
+  resetHistory(state);
+  resetClock();
+  renderPieces();
+  autosave();
+  if(isAiTurn(state)) aiMove();
+});
+document.getElementById('editCancel').addEventListener('click', ()=> goToPly(game.ply));
 
 /* ----------------------------
-   8) Controls wiring
+   7) Controls wiring
    ---------------------------- */
-document.getElementById('newBtn').addEventListener('click', ()=>{
-  state = startPosition();
+// Start position for a new game: standard, or the Chess960 position
+// numbered in #c960No (a random one when it's blank)
+function newGamePosition(){
+  if(document.getElementById('variant').value !== '960') return startPosition();
+  const field = document.getElementById('c960No');
+  const n = field.value === '' ? Math.floor(Math.random() * 960) : Math.max(0, Math.min(959, Math.round(+field.value) || 0));
+  document.getElementById('c960Label').textContent = 'Position ' + n;
+  return chess960Position(n);
+}
+
+document.getElementById('variant').addEventListener('change', (e)=>{
+  document.getElementById('c960Row').hidden = e.target.value !== '960';
+});
+
+function newGame(){
+  cancelSearch();
+  resetHistory(newGamePosition());
+  resetClock();
   selected = null; clearHighlights(); renderPieces(); updateStatus();
+  autosave();
+  if(isAiTurn(state)) aiMove();
+}
+document.getElementById('newBtn').addEventListener('click', newGame);
+
+document.getElementById('undoBtn').addEventListener('click', undo);
+document.getElementById('redoBtn').addEventListener('click', redo);
+
+// Clicking a move in the list jumps the board to the position after it
+document.getElementById('moveList').addEventListener('click', (e)=>{
+  const mv = e.target.closest('.mv');
+  if(mv && canNavigate()) goToPly(+mv.dataset.ply);
 });
 
+// A new time control applies at once if no move has been played yet,
+// otherwise from the next New Game
+function onTimeControlChange(){
+  document.getElementById('customClock').hidden = document.getElementById('timeControl').value !== 'custom';
+  if(game.moves.length === 0) resetClock();
+}
+for(const id of ['timeControl', 'clockMin', 'clockInc', 'clockMode']){
+  document.getElementById(id).addEventListener('change', onTimeControlChange);
+}
+
+// Flipping by hand turns automatic orientation off
 document.getElementById('flipBtn').addEventListener('click', ()=>{
   perspectiveWhite = !perspectiveWhite;
+  document.getElementById('autoFlip').checked = false;
   renderPieces(); // repositions everything
+  saveSettings();
 });
 
-document.getElementById('difficulty').addEventListener('input', (e)=>{
-  document.getElementById('diffLabel').textContent = e.target.value;
-});
+for(const c of ['W', 'B']){
+  document.getElementById('diff' + c).addEventListener('input', (e)=>{
+    document.getElementById(`diff${c}Label`).textContent = levelText(+e.target.value);
+  });
+}
 
-document.getElementById('loadFen').addEventListener('click', ()=>{
-  try{
-    state = fromFEN(document.getElementById('fenIn').value);
-    selected = null; clearHighlights(); renderPieces();
-  } catch(err){
-    alert('Bad FEN: ' + err.message);
+// FEN problems are listed under the field; the first one is selected
+// in it. Dropped castling / en passant parts are listed as notes.
+function showFenProblems(errors, fixes){
+  const fenEl = document.getElementById('fenIn');
+  const list = document.getElementById('fenErrors');
+  list.innerHTML = '';
+  for(const [text, cls] of [...errors.map(e => [formatFenError(e), 'error']), ...fixes.map(f => ['Note: ' + f, 'note'])]){
+    const li = document.createElement('li');
+    li.className = cls;
+    li.textContent = text;
+    list.appendChild(li);
   }
+  fenEl.setAttribute('aria-invalid', errors.length ? 'true' : 'false');
+  if(errors.length){
+    const { at } = errors[0], end = fenEl.value.indexOf(' ', at);
+    fenEl.focus();
+    fenEl.setSelectionRange(at, end < 0 ? fenEl.value.length : end);
+  }
+}
+
+document.getElementById('loadFen').addEventListener('click', ()=>{
+  const { state: s, errors, fixes } = parseFEN(document.getElementById('fenIn').value);
+  showFenProblems(errors, fixes);
+  if(errors.length) return;
+  cancelSearch();
+  resetHistory(s);
+  resetClock();
+  selected = null; clearHighlights(); renderPieces();
+  autosave();
 });
+document.getElementById('fenIn').addEventListener('input', ()=> showFenProblems([], []));
 
 document.getElementById('copyFen').addEventListener('click', async ()=>{
   try{
@@ -732,20 +1778,215 @@ document.getElementById('copyFen').addEventListener('click', async ()=>{
   } catch(_){}
 });
 
-document.getElementById('aiPlaysBlack').addEventListener('change', ()=>{
-  const aiBlack = document.getElementById('aiPlaysBlack').checked;
-  // If toggle puts AI on the side to move, make it play immediately
-  if( (state.turn==='b' && aiBlack) || (state.turn==='w' && !aiBlack) ){
-    aiMove();
+document.getElementById('loadPgn').addEventListener('click', ()=>{
+  try{
+    const { game: g } = fromPGN(document.getElementById('pgnIn').value);
+    endPuzzle();
+    cancelSearch();
+    resetClock();
+    game = g;
+    goToPly(g.ply);
+  } catch(err){
+    alert('Bad PGN: ' + err.message);
+  }
+});
+
+// PGN tags for the game on the board: players, time control, flag fall
+function pgnTags(){
+  const level = c => +document.getElementById('diff' + c.toUpperCase()).value;
+  const player = c => isAiSide(c) ? `Computer (level ${level(c)}, Elo ≈ ${skillLevel(level(c)).elo})` : 'Human';
+  const tags = { Site: location.href, White: player('w'), Black: player('b') };
+  if(clock){
+    tags.TimeControl = clock.base / 1000 + (clock.inc ? '+' + clock.inc / 1000 : '');
+    if(clock.flagged){ tags.Result = gameOutcome().result; tags.Termination = 'time forfeit'; }
+  }
+  return tags;
+}
+
+document.getElementById('exportPgn').addEventListener('click', async ()=>{
+  const pgn = toPGN(game, pgnTags());
+  document.getElementById('pgnIn').value = pgn;
+  try{
+    await navigator.clipboard.writeText(pgn);
+    const btn = document.getElementById('exportPgn');
+    btn.textContent = 'Copied!';
+    setTimeout(() => btn.textContent = 'Export PGN', 900);
+  } catch(_){}
+});
+
+/* ---- Themes ---- */
+// The board theme sets the --light / --dark colours, the piece set
+// redraws every piece. A themes.json next to the page can register more
+// of both (see themes.js); the saved choice is re-applied once it loads.
+function fillThemeSelects(){
+  const fill = (id, list, pick) => {
+    const el = document.getElementById(id);
+    const want = store.settings?.[id] ?? el.value;
+    el.innerHTML = '';
+    for(const t of list){
+      const opt = document.createElement('option');
+      opt.value = t.id;
+      opt.textContent = t.name;
+      el.appendChild(opt);
+    }
+    el.value = pick(want).id; // unknown ids fall back to the default
+  };
+  fill('boardTheme', boardThemes(), boardTheme);
+  fill('pieceSet', pieceSets(), pieceSet);
+}
+
+function applyTheme(){
+  const t = boardTheme(document.getElementById('boardTheme').value);
+  document.documentElement.style.setProperty('--light', t.light);
+  document.documentElement.style.setProperty('--dark', t.dark);
+  boardEl.classList.toggle('show-coords', document.getElementById('coords').checked);
+  for(const [i, el] of pieceDom) setPieceFace(el, state.board[i]);
+  paletteEl.querySelectorAll('.palette-piece:not(.eraser)').forEach(btn => setPieceFace(btn, btn.dataset.piece));
+}
+
+async function loadThemes(){
+  let json;
+  try{
+    const res = await fetch('themes.json');
+    if(!res.ok) return;
+    json = await res.json();
+  } catch(_){ return; } // no themes.json next to the page
+  try{ registerThemes(json); }
+  catch(err){ document.getElementById('themeNote').textContent = 'themes.json: ' + err.message; }
+  fillThemeSelects();
+  applyTheme();
+}
+
+for(const id of ['boardTheme', 'pieceSet', 'coords']){
+  document.getElementById(id).addEventListener('change', applyTheme);
+}
+
+/* ---- Game modes ---- */
+const AVA_GAP_MS = 400; // pause between moves of an AI vs AI game
+
+// Show the level of each AI side and the AI vs AI controls. With
+// adaptive strength the AI facing a human is set from the human's rating.
+function updateModeControls(){
+  const adaptive = adaptiveOn();
+  for(const c of ['w', 'b']){
+    const C = c.toUpperCase();
+    const slider = document.getElementById('diff' + C);
+    if(adaptive && isAiSide(c)) slider.value = levelForRating(adaptiveStats().rating);
+    slider.disabled = adaptive && isAiSide(c);
+    document.getElementById(`diff${C}Row`).hidden = !isAiSide(c);
+    document.getElementById(`diff${C}Label`).textContent = levelText(+slider.value);
+  }
+  document.getElementById('adaptiveRow').hidden = !humanVsAi();
+  document.getElementById('avaControls').hidden = gameMode() !== 'ava';
+  document.getElementById('pauseBtn').textContent = aiPaused ? 'Resume' : 'Pause';
+  document.getElementById('stepBtn').disabled = !aiPaused;
+}
+
+// With #autoFlip on, the human's colour (or the puzzle solver's) is at
+// the bottom against the AI; otherwise (two humans, two AIs) the side
+// to move is
+function autoOrient(){
+  if(editing || !document.getElementById('autoFlip').checked) return;
+  const mode = gameMode();
+  perspectiveWhite = (puzzle ? puzzle.side : mode === 'w' || mode === 'b' ? mode : state.turn) === 'w';
+}
+
+document.getElementById('mode').addEventListener('change', ()=>{
+  aiPaused = false;
+  updateModeControls();
+  if(aiThinking && !isAiTurn(state)) cancelSearch(); // that side is human now
+  selected = null; clearHighlights(); renderPieces();
+  // If the new mode puts the AI on the side to move, it plays at once
+  if(isAiTurn(state) && !gameOutcome()) aiMove();
+});
+
+document.getElementById('autoFlip').addEventListener('change', ()=> renderPieces());
+
+// Level with its approximate Elo, e.g. "7 (≈ 850)"
+function levelText(n){ return `${n} (≈ ${skillLevel(n).elo})`; }
+
+/* ---- Adaptive strength ---- */
+// The human's results against the AI move an Elo estimate of their
+// play (K = 48, so recent games count most); the AI then plays at the
+// level closest to it. Only finished human vs AI games count, once each.
+const ADAPTIVE_K = 48;
+
+function humanVsAi(){ return gameMode() === 'w' || gameMode() === 'b'; }
+function adaptiveOn(){ return document.getElementById('adaptive').checked && humanVsAi(); }
+function adaptiveStats(){ return store.adaptive ||= { rating: skillLevel(4).elo }; }
+
+function rateGame(){
+  const o = gameOutcome();
+  if(!o || !adaptiveOn() || puzzle || game.rated) return;
+  game.rated = true;
+  const human = gameMode();
+  const score = o.result === '1/2-1/2' ? 0.5 : (o.result === '1-0') === (human === 'w') ? 1 : 0;
+  const stats = adaptiveStats();
+  const level = +document.getElementById(human === 'w' ? 'diffB' : 'diffW').value;
+  stats.rating = eloRating(stats.rating, skillLevel(level).elo, score, ADAPTIVE_K);
+  updateModeControls();
+  saveSettings(); // also writes store.adaptive
+  const next = levelForRating(stats.rating);
+  document.getElementById('searchInfo').textContent =
+    `adaptive: your rating ≈ ${stats.rating}, next game at level ${levelText(next)}`;
+}
+
+document.getElementById('adaptive').addEventListener('change', ()=> updateModeControls());
+
+document.getElementById('pauseBtn').addEventListener('click', ()=>{
+  aiPaused = !aiPaused;
+  updateModeControls();
+  if(!aiPaused && isAiTurn(state) && !gameOutcome()) aiMove();
+});
+document.getElementById('stepBtn').addEventListener('click', ()=>{
+  if(aiPaused && !gameOutcome()) aiMove(true);
+});
+
+// Settings are remembered as they change
+for(const id of SETTING_INPUTS){
+  document.getElementById(id).addEventListener('change', saveSettings);
+}
+
+document.getElementById('saveGame').addEventListener('click', ()=>{
+  const nameEl = document.getElementById('gameName');
+  const name = nameEl.value.trim() || 'Game of ' + new Date().toLocaleString();
+  store.library.push({ id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), name, ...gameRecord() });
+  writeStore();
+  nameEl.value = '';
+  renderLibrary();
+});
+
+document.getElementById('library').addEventListener('click', (e)=>{
+  const btn = e.target.closest('button');
+  if(!btn) return;
+  const entry = store.library.find(x => x.id === btn.dataset.id);
+  if(!entry) return;
+  if(btn.dataset.act === 'open'){
+    try{ openGame(recordToGame(entry)); }
+    catch(err){ alert('Saved game could not be loaded: ' + err.message); }
+  } else if(confirm(`Delete "${entry.name}"?`)){
+    store.library = store.library.filter(x => x !== entry);
+    writeStore();
+    renderLibrary();
   }
 });
 
 /* ----------------------------
-   9) Boot the app
+   8) Boot the app
    ---------------------------- */
 (function init(){
-  buildBoardSquares();         // make the 8x8 grid
-  state = startPosition();     // set initial pieces (black on top)
-  renderPieces();              // draw pieces & FEN
-  updateStatus();              // "White to move"
+  buildBoardSquares();           // make the 8x8 grid
+  buildPalette();                // position editor pieces
+  fillThemeSelects();            // built-in board themes and piece sets
+  applySettings();               // level, clock, theme, orientation from last time
+  resetHistory(newGamePosition()); // set initial pieces (black on top)
+  onTimeControlChange();         // clocks for the selected time control
+  renderPieces();                // draw pieces & FEN
+  updateStatus();                // "White to move"
+  renderLibrary();               // saved games
+  loadOpenings();                // opening names,
+  loadDefaultBook();             // book.bin and
+  loadThemes();                  // themes.json if there are any (all async)
+  // Offer last visit's unfinished game; otherwise start if the AI has White
+  if(!offerResume() && isAiTurn(state)) aiMove();
 })();
@@ -0,0 +1,1366 @@
+/* =====================================================================
+   Vanilla JS Chess — engine (rules, notation and search; no DOM)
+   An ES module imported by the page (chess.js), the AI worker
+   (ai-worker.js) and Node scripts alike, so nothing in here may touch
+   `document` or `window`. Everything exported is the public API;
+   the rest (FEN piece helpers, hashing tables, search internals) is
+   private to the module.
+
+     import { fromFEN, genMoves, moveToSAN } from './engine.js';
+   ===================================================================== */
+
+/* -------------------------
+   1) Constants & Utilities
+   ------------------------- */
+// Rough material values (used by the AI's move ordering)
+export const VAL = { P:100, N:320, B:330, R:500, Q:900, K:20000 };
+
+// Board math helpers
+export const idx  = (f,r) => r*8 + f;         // file,rank -> 0..63
+export const file = i => i % 8;                // 0..7
+export const rank = i => Math.floor(i / 8);    // 0..7
+export const inBoard = (f,r) => f>=0 && f<8 && r>=0 && r<8;
+export const opp = side => side === 'w' ? 'b' : 'w';
+
+/* -----------------------------------
+   2) Initial position and FEN helpers
+   ----------------------------------- */
+// Files of the rooks each castling right belongs to (never mutated, so
+// states may share it)
+const STANDARD_ROOKS = Object.freeze({ wK:7, wQ:0, bK:7, bQ:0 });
+
+export function startPosition(){
+  return backRankPosition(['R','N','B','Q','K','B','N','R']);
+}
+
+// Chess960 start position number `n` (0–959, Scharnagl numbering;
+// 518 is the standard setup), or a random one
+export function chess960Position(n = Math.floor(Math.random() * 960)){
+  if(!Number.isInteger(n) || n < 0 || n > 959) throw new Error(`no Chess960 position ${n}`);
+  const back = Array(8).fill(null);
+  const free = () => back.map((p, f) => p ? -1 : f).filter(f => f >= 0);
+  back[2 * (n % 4) + 1] = 'B'; n = Math.floor(n / 4); // light-squared bishop
+  back[2 * (n % 4)] = 'B';     n = Math.floor(n / 4); // dark-squared bishop
+  back[free()[n % 6]] = 'Q';   n = Math.floor(n / 6);
+  // The remaining 0..9 picks two of the five free squares for knights
+  const KNIGHTS = [[0,1],[0,2],[0,3],[0,4],[1,2],[1,3],[1,4],[2,3],[2,4],[3,4]];
+  const five = free();
+  for(const k of KNIGHTS[n]) back[five[k]] = 'N';
+  const [qRook, king, kRook] = free();
+  back[qRook] = 'R'; back[king] = 'K'; back[kRook] = 'R';
+  const s = backRankPosition(back);
+  s.chess960 = true;
+  s.rookFiles = Object.freeze({ wK:kRook, wQ:qRook, bK:kRook, bQ:qRook });
+  return s;
+}
+
+// Pawns on ranks 2 and 7 behind the given back rank (mirrored for Black)
+function backRankPosition(back){
+  // Black on top (ranks 7 & 6), White on bottom (ranks 0 & 1)
+  const b = Array(64).fill(null);
+  for(let f=0; f<8; f++){
+    b[idx(f,0)] = 'w' + back[f];
+    b[idx(f,1)] = 'wP';
+    b[idx(f,6)] = 'bP';
+    b[idx(f,7)] = 'b' + back[f];
+  }
+  return {
+    board: b,
+    turn: 'w',
+    castling: { wK:true, wQ:true, bK:true, bQ:true },
+    ep: -1,            // en passant target square (index), -1 if none
+    halfmove: 0,       // 50-move rule clock (plies since a capture or pawn move)
+    fullmove: 1,       // move number
+    chess960: false,   // Chess960 rules: castling moves are king-takes-rook
+    rookFiles: STANDARD_ROOKS
+  };
+}
+
+export function cloneState(s){
+  return {
+    board: s.board.slice(),
+    turn: s.turn,
+    castling: { ...s.castling },
+    ep: s.ep,
+    halfmove: s.halfmove,
+    fullmove: s.fullmove,
+    chess960: !!s.chess960,
+    rookFiles: s.rookFiles || STANDARD_ROOKS
+  };
+}
+
+// FEN serialization (handy for debugging and copy/paste)
+export function toFEN(s){
+  let rows = [];
+  for(let r=7; r>=0; r--){
+    let row = '', empty = 0;
+    for(let f=0; f<8; f++){
+      const p = s.board[idx(f,r)];
+      if(!p){ empty++; continue; }
+      if(empty){ row += empty; empty = 0; }
+      row += pieceToFen(p);
+    }
+    if(empty) row += empty;
+    rows.push(row);
+  }
+  // X-FEN: K/Q for the outermost rook on that wing, else its file letter
+  let castle = '';
+  for(const right of ['wK', 'wQ', 'bK', 'bQ']){
+    if(!s.castling[right]) continue;
+    const rf = rookFile(s, right), back = right[0] === 'w' ? 0 : 7;
+    const outer = right[1] === 'K' ? [rf+1, 8] : [0, rf];
+    let c = right[1];
+    for(let f = outer[0]; f < outer[1]; f++) if(s.board[idx(f, back)] === right[0] + 'R') c = 'ABCDEFGH'[rf];
+    castle += right[0] === 'w' ? c : c.toLowerCase();
+  }
+  if(!castle) castle = '-';
+  const ep = s.ep >= 0 ? idxToAlg(s.ep) : '-';
+  return rows.join('/') + ' ' + s.turn + ' ' + castle + ' ' + ep + ' ' + s.halfmove + ' ' + s.fullmove;
+}
+
+// FEN parsing. Strict: throws on anything parseFEN() reports as an
+// error; the Error carries the full list as `errors`.
+export function fromFEN(fen){
+  const { state, errors } = parseFEN(fen);
+  if(errors.length){
+    throw Object.assign(new Error(errors.map(formatFenError).join('; ')), { errors });
+  }
+  return state;
+}
+
+// "castling (col 32): …" — `at` is 0-based, columns count from 1
+export function formatFenError(e){
+  return `${e.field} (col ${e.at + 1}): ${e.message}`;
+}
+
+// Read a FEN and report every problem with it. Returns
+// { state, errors, fixes }: `errors` are { field, at, message } with `at`
+// the character offset in `fen`, and `state` is null if there are any.
+// Castling rights or an en passant square that the placement rules out
+// are dropped rather than rejected; `fixes` says what was dropped.
+// Castling accepts KQkq, Shredder-FEN rook files (HAha) and X-FEN
+// (KQkq plus a rook file where needed).
+export function parseFEN(fen){
+  const errors = [], fixes = [];
+  const err = (field, at, message) => errors.push({ field, at, message });
+  const fields = [...String(fen).matchAll(/\S+/g)].map(m => ({ text: m[0], at: m.index }));
+  if(fields.length < 4){
+    err('fen', 0, `expected at least 4 fields (placement, side, castling, en passant), found ${fields.length}`);
+    return { state: null, errors, fixes };
+  }
+  if(fields.length > 6) err('fen', fields[6].at, 'unexpected text after the fullmove number');
+  const [place, turnF, castleF, epF, halfF, fullF] = fields;
+
+  // Piece placement: eight ranks of eight files, from rank 8 down
+  const b = Array(64).fill(null);
+  const rows = place.text.split('/');
+  if(rows.length !== 8) err('placement', place.at, `expected 8 ranks, found ${rows.length}`);
+  let at = place.at;
+  rows.slice(0, 8).forEach((row, n) => {
+    const r = 7 - n;
+    let f = 0, bad = false;
+    [...row].forEach((ch, k) => {
+      if(/[1-8]/.test(ch)) f += +ch;
+      else if(/[pnbrqk]/i.test(ch)){ if(f < 8) b[idx(f,r)] = fenToPiece(ch); f++; }
+      else { bad = true; err('placement', at + k, `'${ch}' is not a piece or empty-square count (rank ${r+1})`); }
+    });
+    // A rank with a bad character can't be measured meaningfully
+    if(!bad && f !== 8) err('placement', at, `rank ${r+1} covers ${f} files instead of 8`);
+    at += row.length + 1;
+  });
+
+  if(turnF.text !== 'w' && turnF.text !== 'b') err('side to move', turnF.at, `expected 'w' or 'b', found '${turnF.text}'`);
+  const turn = turnF.text === 'b' ? 'b' : 'w';
+
+  // Castling: K/Q take the outermost rook on that side of the king, a
+  // file letter names the rook. Rights that need a king or rook off the
+  // standard squares make it a Chess960 position.
+  const castling = { wK:false, wQ:false, bK:false, bQ:false };
+  const rookFiles = { ...STANDARD_ROOKS };
+  if(castleF.text !== '-'){
+    [...castleF.text].forEach((c, k) => {
+      if(!/^[KQA-Hkqa-h]$/.test(c)){ err('castling', castleF.at + k, `'${c}' is not a castling right`); return; }
+      if(castleF.text.indexOf(c) !== k){ err('castling', castleF.at + k, `'${c}' is repeated`); return; }
+      const side = c === c.toUpperCase() ? 'w' : 'b', back = side === 'w' ? 0 : 7;
+      const C = c.toUpperCase();
+      const king = b.findIndex((p, i) => p === side + 'K' && rank(i) === back);
+      if(king < 0){ fixes.push(`dropped castling right '${c}': no king on the back rank`); return; }
+      let rf = 'ABCDEFGH'.indexOf(C);
+      if(C === 'K') for(rf = 7; rf > file(king) && b[idx(rf, back)] !== side + 'R'; rf--);
+      if(C === 'Q') for(rf = 0; rf < file(king) && b[idx(rf, back)] !== side + 'R'; rf++);
+      if(rf === file(king)){ fixes.push(`dropped castling right '${c}': no rook beside the king`); return; }
+      const right = side + (rf > file(king) ? 'K' : 'Q');
+      castling[right] = true;
+      rookFiles[right] = rf;
+    });
+  }
+  const chess960 = ['wK', 'wQ', 'bK', 'bQ'].some(right => castling[right] && (rookFiles[right] !== STANDARD_ROOKS[right]
+    || b[idx(4, right[0] === 'w' ? 0 : 7)] !== right[0] + 'K'));
+
+  let ep = -1;
+  if(epF.text !== '-'){
+    if(/^[a-h][36]$/.test(epF.text)) ep = algToIdx(epF.text);
+    else err('en passant', epF.at, `expected '-' or a square on rank 3 or 6, found '${epF.text}'`);
+  }
+
+  const counter = (f, min, name) => {
+    if(!f) return min;
+    if(!/^\d+$/.test(f.text) || +f.text < min){ err(name, f.at, `expected a whole number${min ? ' from ' + min : ''}, found '${f.text}'`); return min; }
+    return +f.text;
+  };
+  const halfmove = counter(halfF, 0, 'halfmove clock');
+  const fullmove = counter(fullF, 1, 'fullmove number');
+  if(errors.length) return { state: null, errors, fixes };
+
+  const s = { board: b, turn, castling, ep, halfmove, fullmove, chess960,
+    rookFiles: chess960 ? Object.freeze(rookFiles) : STANDARD_ROOKS };
+  for(const right of ['wK', 'wQ', 'bK', 'bQ']){
+    if(castling[right] && !castlingPossible(s, right)){
+      castling[right] = false;
+      fixes.push(`dropped castling right '${pieceToFen(right[0] + right[1])}': rook is not on ${idxToAlg(idx(rookFile(s, right), right[0] === 'w' ? 0 : 7))}`);
+    }
+  }
+  if(ep >= 0 && !epSquares(s).includes(ep)){
+    s.ep = -1;
+    fixes.push(`dropped en passant square ${epF.text}: no pawn has just passed it`);
+  }
+  // What is left (kings, pawns, check) can't be repaired
+  for(const message of positionProblems(s)) err('position', place.at, message);
+  return { state: errors.length ? null : s, errors, fixes };
+}
+
+// Helpers for FEN piece symbols
+function pieceToFen(p){
+  const map = { P:'P', N:'N', B:'B', R:'R', Q:'Q', K:'K' };
+  const sym = map[p[1]];
+  return p[0] === 'w' ? sym : sym.toLowerCase();
+}
+function fenToPiece(ch){
+  const map = { p:'P', n:'N', b:'B', r:'R', q:'Q', k:'K' };
+  return (ch===ch.toLowerCase() ? 'b' : 'w') + map[ch.toLowerCase()];
+}
+export function idxToAlg(i){ return 'abcdefgh'[file(i)] + (rank(i)+1); }
+export function algToIdx(s){ return idx('abcdefgh'.indexOf(s[0]), parseInt(s[1],10)-1); }
+
+// Coordinate notation for a move, e.g. "e2e4" or "e7e8q"
+export function moveToCoord(m){
+  return idxToAlg(m.from) + idxToAlg(m.to) + (m.flags?.promo ? m.flags.promo.toLowerCase() : '');
+}
+
+/* --------------------------------------------------
+   3) Move generation, checks, castling, en passant
+   -------------------------------------------------- */
+
+// Returns true if square `sq` is attacked by side `by`
+export function isAttacked(sq, by, s){
+  const B = s.board;
+  const kingSteps = [[1,0],[-1,0],[0,1],[0,-1],[1,1],[-1,1],[1,-1],[-1,-1]];
+  // Pawn attacks: note the relative direction
+  const dr = by === 'w' ? 1 : -1;
+  for(const df of [-1, 1]){
+    const f = file(sq) + df, r = rank(sq) - dr; // attacker sits one rank behind target
+    if(inBoard(f,r) && B[idx(f,r)] === by + 'P') return true;
+  }
+  // Knight attacks
+  const KJ = [[1,2],[2,1],[-1,2],[-2,1],[1,-2],[2,-1],[-1,-2],[-2,-1]];
+  for(const [df,dr2] of KJ){
+    const f = file(sq) + df, r = rank(sq) + dr2;
+    if(inBoard(f,r) && B[idx(f,r)] === by + 'N') return true;
+  }
+  // Bishop/queen diagonals
+  for(const [df,dr3] of [[1,1],[-1,1],[1,-1],[-1,-1]]){
+    let f = file(sq)+df, r = rank(sq)+dr3;
+    while(inBoard(f,r)){
+      const p = B[idx(f,r)];
+      if(p){ if(p[0]===by && (p[1]==='B' || p[1]==='Q')) return true; break; }
+      f+=df; r+=dr3;
+    }
+  }
+  // Rook/queen orthogonals
+  for(const [df,dr4] of [[1,0],[-1,0],[0,1],[0,-1]]){
+    let f = file(sq)+df, r = rank(sq)+dr4;
+    while(inBoard(f,r)){
+      const p = B[idx(f,r)];
+      if(p){ if(p[0]===by && (p[1]==='R' || p[1]==='Q')) return true; break; }
+      f+=df; r+=dr4;
+    }
+  }
+  // King
+  for(const [df,dr5] of kingSteps){
+    const f = file(sq)+df, r = rank(sq)+dr5;
+    if(inBoard(f,r) && B[idx(f,r)] === by + 'K') return true;
+  }
+  return false;
+}
+
+// True if the side to move in `s` is in check
+export function inCheck(s){
+  const k = s.board.findIndex(p => p === s.turn + 'K');
+  return isAttacked(k, opp(s.turn), s);
+}
+
+// Pseudo-legal move generation + legality filter
+export function genMoves(s){
+  const moves = [];
+  const B = s.board, turn = s.turn;
+  const forward = turn === 'w' ? 1 : -1;
+  const startR  = turn === 'w' ? 1 : 6;
+  const promR   = turn === 'w' ? 7 : 0;
+
+  const add = (from,to,flags={}) => moves.push({from,to,flags});
+  // A pawn reaching the last rank may become any of the four pieces
+  const addPromos = (from,to,flags={}) => { for(const promo of 'QRBN') add(from,to,{...flags, promo}); };
+
+  for(let i=0; i<64; i++){
+    const P = B[i];
+    if(!P || P[0] !== turn) continue;
+
+    const f = file(i), r = rank(i), t = P[1];
+
+    if(t === 'P'){
+      // Forward pushes
+      const r1 = r + forward;
+      if(inBoard(f,r1) && !B[idx(f,r1)]){
+        if(r1 === promR) addPromos(i, idx(f,r1)); else add(i, idx(f,r1));
+        // Double from starting rank
+        if(r === startR){
+          const r2 = r + 2*forward;
+          if(!B[idx(f,r2)]) add(i, idx(f,r2), {epSet: idx(f,r1)});
+        }
+      }
+      // Captures
+      for(const df of [-1,1]){
+        const f1 = f + df, r1c = r + forward;
+        if(!inBoard(f1,r1c)) continue;
+        const tSq = idx(f1,r1c);
+        if(B[tSq] && B[tSq][0] !== turn){
+          if(r1c===promR) addPromos(i, tSq, {capture:true});
+          else add(i, tSq, {capture:true});
+        }
+      }
+      // En passant
+      if(s.ep >= 0){
+        const epF = file(s.ep), epR = rank(s.ep);
+        if(epR === r + forward && Math.abs(epF - f) === 1){
+          add(i, s.ep, {ep:true, capture:true});
+        }
+      }
+    } else if(t === 'N'){
+      for(const [df,dr] of [[1,2],[2,1],[-1,2],[-2,1],[1,-2],[2,-1],[-1,-2],[-2,-1]]){
+        const f1=f+df, r1=r+dr; if(!inBoard(f1,r1)) continue;
+        const T = idx(f1,r1); if(!B[T] || B[T][0]!==turn) add(i, T, {capture: !!B[T]});
+      }
+    } else if(t === 'B' || t === 'R' || t === 'Q'){
+      const dirs = [];
+      if(t !== 'B') dirs.push([1,0],[-1,0],[0,1],[0,-1]);
+      if(t !== 'R') dirs.push([1,1],[-1,1],[1,-1],[-1,-1]);
+      for(const [df,dr] of dirs){
+        let f1=f+df, r1=r+dr;
+        while(inBoard(f1,r1)){
+          const T = idx(f1,r1), q = B[T];
+          if(!q) add(i,T);
+          else { if(q[0]!==turn) add(i,T,{capture:true}); break; }
+          f1+=df; r1+=dr;
+        }
+      }
+    } else if(t === 'K'){
+      for(const [df,dr] of [[1,0],[-1,0],[0,1],[0,-1],[1,1],[-1,1],[1,-1],[-1,-1]]){
+        const f1=f+df, r1=r+dr; if(!inBoard(f1,r1)) continue;
+        const T = idx(f1,r1), q = B[T];
+        if(!q || q[0]!==turn) add(i, T, {capture: !!q});
+      }
+      // Castling (Chess960 rules, which include the standard game): the
+      // king ends on the g/c file and the rook on the f/d file. Every
+      // square either crosses must be empty but for those two pieces,
+      // and no square the king stands on or crosses may be attacked.
+      for(const wing of ['K', 'Q']){
+        const right = turn + wing;
+        if(!s.castling[right] || !castlingPossible(s, right)) continue;
+        const back = rank(i), rookSq = idx(rookFile(s, right), back);
+        const { kingTo, rookTo } = castleSquares(s, right);
+        const lo = Math.min(f, file(rookSq), file(kingTo), file(rookTo));
+        const hi = Math.max(f, file(rookSq), file(kingTo), file(rookTo));
+        let ok = true;
+        for(let x = lo; x <= hi && ok; x++){
+          const q = idx(x, back);
+          if(q !== i && q !== rookSq && B[q]) ok = false;
+        }
+        for(let x = Math.min(f, file(kingTo)); x <= Math.max(f, file(kingTo)) && ok; x++){
+          if(isAttacked(idx(x, back), opp(turn), s)) ok = false;
+        }
+        // Chess960 castling is written king-takes-rook (e.g. UCI "b1a1"):
+        // the king's own target square may be an ordinary king move
+        if(ok) add(i, s.chess960 ? rookSq : kingTo, {castle: wing});
+      }
+    }
+  }
+
+  // King-safety filter: apply move, then test if own king is attacked
+  const legal = [];
+  for(const m of moves){
+    const s2 = makeMove(s, m);
+    const kingSq = s2.board.findIndex(p => p === s.turn + 'K');
+    if(!isAttacked(kingSq, opp(s.turn), s2)) legal.push(m);
+  }
+  return legal;
+}
+
+// Apply a move and return the NEW state (no animations here)
+export function makeMove(s, m){
+  const B = s.board.slice();
+  const from = m.from, to = m.to;
+  const P = B[from], turn = s.turn, other = opp(turn);
+  const castling = { ...s.castling }; // never touch the caller's rights
+
+  // En passant capture removes pawn *behind* the destination
+  if(m.flags?.ep){
+    const capSq = idx(file(to), rank(to) + (turn==='w' ? -1 : 1));
+    B[capSq] = null;
+  }
+
+  // Move the piece; castling lifts king and rook before placing them,
+  // as in Chess960 either may land where the other stood
+  if(m.flags?.castle){
+    const right = turn + m.flags.castle;
+    const { kingTo, rookFrom, rookTo } = castleSquares(s, right);
+    B[from] = B[rookFrom] = null;
+    B[kingTo] = P;
+    B[rookTo] = turn + 'R';
+  } else {
+    B[to] = P;
+    B[from] = null;
+  }
+
+  // Promotion (to the piece chosen by the move; queen if unspecified)
+  if(P[1] === 'P'){
+    const lastRank = turn === 'w' ? 7 : 0;
+    if(rank(to) === lastRank){
+      B[to] = turn + (m.flags?.promo || 'Q');
+    }
+  }
+
+  // A king move ends both its rights
+  if(P[1] === 'K'){
+    if(turn === 'w'){ castling.wK = castling.wQ = false; }
+    else            { castling.bK = castling.bQ = false; }
+  }
+
+  // If a rook moves (or gets captured on its original square), update castling rights
+  for(const right of ['wK', 'wQ', 'bK', 'bQ']){
+    const home = idx(rookFile(s, right), right[0] === 'w' ? 0 : 7);
+    if(from === home || (to === home && m.flags?.capture)) castling[right] = false;
+  }
+
+  // Produce next state object
+  const s2 = cloneState(s);
+  s2.board = B;
+  s2.castling = castling;
+  s2.turn = other;
+  s2.ep = m.flags?.epSet ?? -1;
+  s2.halfmove = (P[1]==='P' || m.flags?.capture) ? 0 : s.halfmove + 1;
+  s2.fullmove = (other === 'w') ? s.fullmove + 1 : s.fullmove;
+  return s2;
+}
+
+// Position identity for repetition: placement, side to move, castling
+// rights, and the en passant square only if a pawn stands ready to use it
+export function positionKey(s){
+  const fen = toFEN(s).split(' ');
+  if(!epReady(s)) fen[3] = '-';
+  return fen.slice(0, 4).join(' ');
+}
+
+// True if `s` has an en passant square with a pawn of the side to move
+// standing next to the pawn that just made the double step
+function epReady(s){
+  if(s.ep < 0) return false;
+  const r = rank(s.ep) + (s.turn === 'w' ? -1 : 1);
+  const f = file(s.ep);
+  return [f-1, f+1].some(f1 => inBoard(f1, r) && s.board[idx(f1, r)] === s.turn + 'P');
+}
+
+// En passant squares that fit `s`: behind an enemy pawn that could
+// just have made its double step (the squares it crossed are empty)
+export function epSquares(s){
+  const them = opp(s.turn), dir = s.turn === 'w' ? 1 : -1;
+  const out = [];
+  for(let f=0; f<8; f++){
+    const ep = idx(f, s.turn === 'w' ? 5 : 2);
+    if(s.board[ep - 8*dir] === them + 'P' && !s.board[ep] && !s.board[ep + 8*dir]) out.push(ep);
+  }
+  return out;
+}
+
+// File of the rook castling right `right` ('wK', 'bQ', …) belongs to
+function rookFile(s, right){ return (s.rookFiles || STANDARD_ROOKS)[right]; }
+
+// Where king and rook stand and land when castling with `right`
+export function castleSquares(s, right){
+  const back = right[0] === 'w' ? 0 : 7, kingside = right[1] === 'K';
+  return {
+    kingFrom: s.board.findIndex((p, i) => p === right[0] + 'K' && rank(i) === back),
+    rookFrom: idx(rookFile(s, right), back),
+    kingTo: idx(kingside ? 6 : 2, back),
+    rookTo: idx(kingside ? 5 : 3, back)
+  };
+}
+
+// The moves in `moves` that land on `sq`. Chess960 castling is stored
+// as king-takes-rook, so the king's landing square picks it as well
+// (unless a plain move goes there).
+export function movesTo(s, moves, sq){
+  const exact = moves.filter(m => m.to === sq);
+  if(exact.length || !s.chess960) return exact;
+  return moves.filter(m => m.flags.castle && castleSquares(s, s.turn + m.flags.castle).kingTo === sq);
+}
+
+// True if the king and rook for castling right `right` are still where
+// that right needs them: both on the back rank, the rook on its file and
+// on the right side of the king (the king on e1/e8 outside Chess960)
+export function castlingPossible(s, right){
+  const { kingFrom, rookFrom } = castleSquares(s, right);
+  if(kingFrom < 0 || s.board[rookFrom] !== right[0] + 'R') return false;
+  if(!s.chess960 && file(kingFrom) !== 4) return false;
+  return right[1] === 'K' ? rookFrom > kingFrom : rookFrom < kingFrom;
+}
+
+// Everything that makes `s` unplayable, as readable sentences; an empty
+// list means the position is fine to play from
+export function positionProblems(s){
+  const NAME = { w:'White', b:'Black' };
+  const problems = [];
+  let kingsOk = true;
+  for(const side of ['w', 'b']){
+    const n = s.board.filter(p => p === side + 'K').length;
+    if(n !== 1){ kingsOk = false; problems.push(`${NAME[side]} must have exactly one king (has ${n})`); }
+  }
+  const backPawns = [];
+  for(let i=0; i<64; i++){
+    if(s.board[i]?.[1] === 'P' && (rank(i) === 0 || rank(i) === 7)) backPawns.push(idxToAlg(i));
+  }
+  if(backPawns.length) problems.push(`Pawns can't stand on the first or last rank (${backPawns.join(', ')})`);
+  if(kingsOk){
+    const them = opp(s.turn);
+    if(isAttacked(s.board.indexOf(them + 'K'), s.turn, s)){
+      problems.push(`${NAME[them]} is in check but it is ${NAME[s.turn]}'s move`);
+    }
+  }
+  for(const right of ['wK', 'wQ', 'bK', 'bQ']){
+    if(s.castling[right] && !castlingPossible(s, right)){
+      problems.push(`${NAME[right[0]]} can't castle ${right[1] === 'K' ? 'kingside' : 'queenside'}: king or rook is off its home square`);
+    }
+  }
+  if(s.ep >= 0 && !epSquares(s).includes(s.ep)){
+    problems.push(`En passant on ${idxToAlg(s.ep)} doesn't follow a double pawn step`);
+  }
+  return problems;
+}
+
+// Neither side can ever mate: K v K, K+minor v K, or only bishops
+// left and all of them on squares of one colour
+export function insufficientMaterial(s){
+  const extra = [];
+  for(let i=0; i<64; i++){
+    const p = s.board[i];
+    if(p && p[1] !== 'K') extra.push(i);
+  }
+  if(extra.length === 0) return true;
+  if(extra.length === 1 && 'NB'.includes(s.board[extra[0]][1])) return true;
+  if(extra.every(i => s.board[i][1] === 'B')){
+    const colour = i => (file(i) + rank(i)) % 2;
+    return extra.every(i => colour(i) === colour(extra[0]));
+  }
+  return false;
+}
+
+// True if `side` still has material that could ever mate: a pawn,
+// rook or queen, or at least two minor pieces (decides whether losing
+// on time against it is a loss or a draw)
+export function hasMatingMaterial(s, side){
+  let minors = 0;
+  for(const p of s.board){
+    if(!p || p[0] !== side) continue;
+    if('PRQ'.includes(p[1])) return true;
+    if(p[1] === 'N' || p[1] === 'B') minors++;
+  }
+  return minors >= 2;
+}
+
+// Why `s` is an automatic draw, or null. `prev` are the position keys
+// of the positions before it in the game (for threefold repetition).
+export function drawReason(s, prev = []){
+  if(s.halfmove >= 100) return 'fifty-move rule';
+  if(insufficientMaterial(s)) return 'insufficient material';
+  const key = positionKey(s);
+  if(prev.filter(k => k === key).length >= 2) return 'threefold repetition';
+  return null;
+}
+
+// How a game ending at the last of `positions` stands: null while it is
+// still running, else { result: '1-0'|'0-1'|'1/2-1/2', reason }
+export function outcome(positions){
+  const s = positions[positions.length - 1];
+  if(genMoves(s).length === 0){
+    if(inCheck(s)) return { result: s.turn === 'w' ? '0-1' : '1-0', reason: 'checkmate' };
+    return { result: '1/2-1/2', reason: 'stalemate' };
+  }
+  // Only positions since the last capture or pawn move can repeat
+  const since = positions.slice(Math.max(0, positions.length - 1 - s.halfmove), -1);
+  const why = drawReason(s, since.map(positionKey));
+  return why ? { result: '1/2-1/2', reason: why } : null;
+}
+
+/* ----------------------------------------
+   4) SAN notation and PGN import/export
+   ---------------------------------------- */
+
+// Standard Algebraic Notation for legal move `m` in position `s`
+export function moveToSAN(s, m, legal = genMoves(s)){
+  const P = s.board[m.from], t = P[1];
+  const cap = m.flags?.capture;
+  let san;
+  if(m.flags?.castle){
+    san = m.flags.castle === 'K' ? 'O-O' : 'O-O-O';
+  } else if(t === 'P'){
+    san = (cap ? 'abcdefgh'[file(m.from)] + 'x' : '') + idxToAlg(m.to);
+    if(m.flags?.promo) san += '=' + m.flags.promo;
+  } else {
+    // Disambiguate from same-type pieces that can reach the same square:
+    // file if it is unique, else rank, else both (Nbd2, R1e2, Qh4e1)
+    const rivals = legal.filter(o => o.to === m.to && o.from !== m.from && s.board[o.from] === P);
+    let dis = '';
+    if(rivals.length){
+      if(!rivals.some(o => file(o.from) === file(m.from))) dis = 'abcdefgh'[file(m.from)];
+      else if(!rivals.some(o => rank(o.from) === rank(m.from))) dis = String(rank(m.from) + 1);
+      else dis = idxToAlg(m.from);
+    }
+    san = t + dis + (cap ? 'x' : '') + idxToAlg(m.to);
+  }
+  const s2 = makeMove(cloneState(s), m);
+  if(inCheck(s2)) san += genMoves(s2).length ? '+' : '#';
+  return san;
+}
+
+// Parse SAN against position `s`; throws on illegal or ambiguous input
+export function sanToMove(s, san){
+  const legal = genMoves(s);
+  const text = san.replace(/[+#?!]+$/, '');
+
+  if(/^[O0]-[O0](-[O0])?$/.test(text)){
+    const side = text.length > 3 ? 'Q' : 'K';
+    const m = legal.find(o => o.flags?.castle === side);
+    if(!m) throw new Error(`illegal move ${san}`);
+    return m;
+  }
+
+  const parts = text.match(/^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQ]))?$/);
+  if(!parts) throw new Error(`unreadable move ${san}`);
+  const [, piece = 'P', fromF, fromR, to, promo] = parts;
+  const hits = legal.filter(m =>
+    s.board[m.from][1] === piece &&
+    idxToAlg(m.to) === to &&
+    (!fromF || 'abcdefgh'[file(m.from)] === fromF) &&
+    (!fromR || String(rank(m.from) + 1) === fromR) &&
+    (m.flags?.promo || null) === (promo || null)
+  );
+  if(hits.length === 0) throw new Error(`illegal move ${san}`);
+  if(hits.length > 1) throw new Error(`ambiguous move ${san}`);
+  return hits[0];
+}
+
+// SAN for a line of moves played from `s`, e.g. a principal variation
+export function lineToSAN(s, moves){
+  const out = [];
+  for(const m of moves){
+    out.push(moveToSAN(s, m));
+    s = makeMove(s, m);
+  }
+  return out;
+}
+
+// Export a game record ({positions, san}) as PGN with the Seven Tag Roster
+export function toPGN(g, tags = {}){
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  // A decided final position wins over any Result tag we were given
+  const result = outcome(g.positions)?.result || tags.Result || '*';
+  const T = {
+    Event: '?', Site: '?',
+    Date: `${d.getFullYear()}.${pad(d.getMonth() + 1)}.${pad(d.getDate())}`,
+    Round: '?', White: '?', Black: '?',
+    ...tags,
+    Result: result
+  };
+  // Games that don't begin from the standard position carry their FEN
+  if(g.positions[0].chess960) T.Variant = 'Chess960';
+  const startFen = toFEN(g.positions[0]);
+  if(startFen !== toFEN(startPosition())){ T.SetUp = '1'; T.FEN = startFen; }
+
+  const head = Object.entries(T)
+    .map(([k, v]) => `[${k} "${String(v).replace(/[\\"]/g, '\\$&')}"]`).join('\n');
+
+  const tokens = [];
+  g.san.forEach((san, i) => {
+    const s = g.positions[i];
+    if(s.turn === 'w') tokens.push(s.fullmove + '.');
+    else if(i === 0) tokens.push(s.fullmove + '...');
+    tokens.push(san);
+  });
+  tokens.push(result);
+
+  // Movetext lines are kept under 80 characters
+  const lines = [];
+  let line = '';
+  for(const t of tokens){
+    if(line && line.length + 1 + t.length > 79){ lines.push(line); line = t; }
+    else line = line ? line + ' ' + t : t;
+  }
+  lines.push(line);
+  return head + '\n\n' + lines.join('\n') + '\n';
+}
+
+// Parse PGN text and replay it. Returns { tags, game }.
+// Throws naming the move number of the first illegal or ambiguous move.
+export function fromPGN(text){
+  const tags = {};
+  const tagRe = /\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/g;
+  for(const [, k, v] of text.matchAll(tagRe)) tags[k] = v.replace(/\\(.)/g, '$1');
+
+  // Drop tags, comments, NAGs and (possibly nested) variations
+  let body = text.replace(tagRe, ' ')
+    .replace(/\{[^}]*\}/g, ' ')
+    .replace(/;[^\n]*/g, ' ')
+    .replace(/\$\d+/g, ' ');
+  for(let prev = ''; prev !== body; ){ prev = body; body = body.replace(/\([^()]*\)/g, ' '); }
+
+  let s = tags.FEN ? fromFEN(tags.FEN) : startPosition();
+  if(/960|fischer/i.test(tags.Variant || '')) s.chess960 = true;
+  const g = { positions: [s], moves: [], san: [], ply: 0 };
+
+  for(let tok of body.split(/\s+/)){
+    if(/^(1-0|0-1|1\/2-1\/2|\*)$/.test(tok)) break;
+    tok = tok.replace(/^\d+\.+/, ''); // move numbers: "12." or "12...Nf6"
+    if(!tok) continue;
+    let m;
+    try {
+      m = sanToMove(s, tok);
+    } catch(err){
+      throw new Error(`move ${s.fullmove}${s.turn === 'w' ? '.' : '...'} ${err.message}`);
+    }
+    g.san.push(moveToSAN(s, m));
+    s = makeMove(cloneState(s), m);
+    g.moves.push(m);
+    g.positions.push(s);
+  }
+  g.ply = g.moves.length;
+  return { tags, game: g };
+}
+
+/* ----------------------------------------
+   5) Evaluation and search
+   ---------------------------------------- */
+
+// Tiny evaluation + negamax(alpha-beta) with iterative deepening,
+// a transposition table and a quiescence search
+export const INF = 1e9;
+export const MATE = 1e6;          // mated in N plies scores -(MATE - N)
+export const MAX_PLY = 64;
+
+// Time limit: negamax polls the clock every 256 nodes and unwinds the
+// whole search by throwing SEARCH_TIMEOUT once the deadline has passed
+const SEARCH_TIMEOUT = new Error('search timeout');
+let searchDeadline = Infinity;
+let searchNodes = 0;
+
+// Evaluation weights, in centipawns, each as [middlegame, endgame] or as
+// separate mg/eg tables. The evaluation blends the two by game phase, so
+// tuning only ever means editing this table.
+// Piece-square tables are laid out as seen from White (a8 first, h1
+// last) and are mirrored for Black.
+const PST_PAWN_MG = [
+   0,  0,  0,  0,  0,  0,  0,  0,
+  50, 50, 50, 50, 50, 50, 50, 50,
+  10, 10, 20, 30, 30, 20, 10, 10,
+   5,  5, 10, 25, 25, 10,  5,  5,
+   0,  0,  0, 20, 20,  0,  0,  0,
+   5, -5,-10,  0,  0,-10, -5,  5,
+   5, 10, 10,-20,-20, 10, 10,  5,
+   0,  0,  0,  0,  0,  0,  0,  0
+];
+const PST_PAWN_EG = [
+   0,  0,  0,  0,  0,  0,  0,  0,
+  80, 80, 80, 80, 80, 80, 80, 80,
+  50, 50, 50, 50, 50, 50, 50, 50,
+  30, 30, 30, 30, 30, 30, 30, 30,
+  15, 15, 15, 15, 15, 15, 15, 15,
+   5,  5,  5,  5,  5,  5,  5,  5,
+   0,  0,  0,  0,  0,  0,  0,  0,
+   0,  0,  0,  0,  0,  0,  0,  0
+];
+const PST_KNIGHT = [
+ -50,-40,-30,-30,-30,-30,-40,-50,
+ -40,-20,  0,  0,  0,  0,-20,-40,
+ -30,  0, 10, 15, 15, 10,  0,-30,
+ -30,  5, 15, 20, 20, 15,  5,-30,
+ -30,  0, 15, 20, 20, 15,  0,-30,
+ -30,  5, 10, 15, 15, 10,  5,-30,
+ -40,-20,  0,  5,  5,  0,-20,-40,
+ -50,-40,-30,-30,-30,-30,-40,-50
+];
+const PST_BISHOP = [
+ -20,-10,-10,-10,-10,-10,-10,-20,
+ -10,  0,  0,  0,  0,  0,  0,-10,
+ -10,  0,  5, 10, 10,  5,  0,-10,
+ -10,  5,  5, 10, 10,  5,  5,-10,
+ -10,  0, 10, 10, 10, 10,  0,-10,
+ -10, 10, 10, 10, 10, 10, 10,-10,
+ -10,  5,  0,  0,  0,  0,  5,-10,
+ -20,-10,-10,-10,-10,-10,-10,-20
+];
+const PST_ROOK = [
+   0,  0,  0,  0,  0,  0,  0,  0,
+   5, 10, 10, 10, 10, 10, 10,  5,
+  -5,  0,  0,  0,  0,  0,  0, -5,
+  -5,  0,  0,  0,  0,  0,  0, -5,
+  -5,  0,  0,  0,  0,  0,  0, -5,
+  -5,  0,  0,  0,  0,  0,  0, -5,
+  -5,  0,  0,  0,  0,  0,  0, -5,
+   0,  0,  0,  5,  5,  0,  0,  0
+];
+const PST_QUEEN = [
+ -20,-10,-10, -5, -5,-10,-10,-20,
+ -10,  0,  0,  0,  0,  0,  0,-10,
+ -10,  0,  5,  5,  5,  5,  0,-10,
+  -5,  0,  5,  5,  5,  5,  0, -5,
+   0,  0,  5,  5,  5,  5,  0, -5,
+ -10,  5,  5,  5,  5,  5,  0,-10,
+ -10,  0,  5,  0,  0,  0,  0,-10,
+ -20,-10,-10, -5, -5,-10,-10,-20
+];
+const PST_KING_MG = [
+ -30,-40,-40,-50,-50,-40,-40,-30,
+ -30,-40,-40,-50,-50,-40,-40,-30,
+ -30,-40,-40,-50,-50,-40,-40,-30,
+ -30,-40,-40,-50,-50,-40,-40,-30,
+ -20,-30,-30,-40,-40,-30,-30,-20,
+ -10,-20,-20,-20,-20,-20,-20,-10,
+  20, 20,  0,  0,  0,  0, 20, 20,
+  20, 30, 10,  0,  0, 10, 30, 20
+];
+const PST_KING_EG = [
+ -50,-40,-30,-20,-20,-30,-40,-50,
+ -30,-20,-10,  0,  0,-10,-20,-30,
+ -30,-10, 20, 30, 30, 20,-10,-30,
+ -30,-10, 30, 40, 40, 30,-10,-30,
+ -30,-10, 30, 40, 40, 30,-10,-30,
+ -30,-10, 20, 30, 30, 20,-10,-30,
+ -30,-30,  0,  0,  0,  0,-30,-30,
+ -50,-30,-30,-30,-30,-30,-30,-50
+];
+
+export const EVAL_WEIGHTS = {
+  material: {
+    mg: { P:82, N:337, B:365, R:477, Q:1025, K:0 },
+    eg: { P:94, N:281, B:297, R:512, Q:936,  K:0 }
+  },
+  pst: {
+    mg: { P:PST_PAWN_MG, N:PST_KNIGHT, B:PST_BISHOP, R:PST_ROOK, Q:PST_QUEEN, K:PST_KING_MG },
+    eg: { P:PST_PAWN_EG, N:PST_KNIGHT, B:PST_BISHOP, R:PST_ROOK, Q:PST_QUEEN, K:PST_KING_EG }
+  },
+  // Game phase: 24 with all minor and major pieces on, 0 with none
+  phase: { N:1, B:1, R:2, Q:4 },
+  bishopPair:   [30, 50],
+  doubledPawn:  [-10, -20],   // per extra pawn on a file
+  isolatedPawn: [-12, -15],
+  // Passed pawn bonus by rank counted from the pawn's own side (0..7)
+  passedPawn: {
+    mg: [0, 5, 10, 15, 25, 40, 60, 0],
+    eg: [0, 10, 20, 35, 60, 100, 150, 0]
+  },
+  // King safety (middlegame only): pawns in front of the king, and
+  // files next to it without own pawns
+  kingShield:   [12, 0],      // per pawn directly in front (half if one step further)
+  kingOpenFile: [-20, 0],     // no pawns of either side
+  kingHalfOpen: [-10, 0]      // only enemy pawns
+};
+
+// Static evaluation from White's point of view, tapered between the
+// middlegame and endgame weights. No move generation, so it is cheap
+// enough to call at every leaf.
+export function evaluate(s){
+  const W = EVAL_WEIGHTS, B = s.board;
+  const mg = [0, 0], eg = [0, 0];      // [white, black]
+  const pawns = [Array(8).fill(0), Array(8).fill(0)];
+  const lowest = [Array(8).fill(8), Array(8).fill(8)];    // lowest pawn rank per file
+  const highest = [Array(8).fill(-1), Array(8).fill(-1)]; // highest pawn rank per file
+  const bishops = [0, 0], kings = [-1, -1];
+  let phase = 0;
+
+  // Material, piece-square tables, and facts for the terms below
+  for(let i=0; i<64; i++){
+    const p = B[i]; if(!p) continue;
+    const c = p[0]==='w' ? 0 : 1, t = p[1], f = file(i), r = rank(i);
+    const sq = c === 0 ? (7 - r)*8 + f : r*8 + f;
+    mg[c] += W.material.mg[t] + W.pst.mg[t][sq];
+    eg[c] += W.material.eg[t] + W.pst.eg[t][sq];
+    phase += W.phase[t] || 0;
+    if(t === 'P'){
+      pawns[c][f]++;
+      lowest[c][f] = Math.min(lowest[c][f], r);
+      highest[c][f] = Math.max(highest[c][f], r);
+    }
+    else if(t === 'B') bishops[c]++;
+    else if(t === 'K') kings[c] = i;
+  }
+
+  // Pawn structure
+  for(let i=0; i<64; i++){
+    const p = B[i]; if(!p || p[1] !== 'P') continue;
+    const c = p[0]==='w' ? 0 : 1, e = 1 - c, f = file(i), r = rank(i);
+    const own = f1 => f1 >= 0 && f1 < 8 && pawns[c][f1] > 0;
+    if(!own(f-1) && !own(f+1)){ mg[c] += W.isolatedPawn[0]; eg[c] += W.isolatedPawn[1]; }
+    // Passed: no enemy pawn ahead on this or an adjacent file
+    let passed = true;
+    for(let f1=Math.max(0, f-1); f1<=Math.min(7, f+1); f1++){
+      if(c === 0 ? highest[e][f1] > r : lowest[e][f1] < r){ passed = false; break; }
+    }
+    if(passed){
+      const rel = c === 0 ? r : 7 - r;
+      mg[c] += W.passedPawn.mg[rel]; eg[c] += W.passedPawn.eg[rel];
+    }
+  }
+  for(let c=0; c<2; c++){
+    for(let f=0; f<8; f++){
+      if(pawns[c][f] > 1){
+        mg[c] += W.doubledPawn[0] * (pawns[c][f] - 1);
+        eg[c] += W.doubledPawn[1] * (pawns[c][f] - 1);
+      }
+    }
+    if(bishops[c] >= 2){ mg[c] += W.bishopPair[0]; eg[c] += W.bishopPair[1]; }
+  }
+
+  // King safety: pawn shield and open files around the king
+  for(let c=0; c<2; c++){
+    const k = kings[c]; if(k < 0) continue;
+    const kf = file(k), kr = rank(k), dir = c === 0 ? 1 : -1, pawn = (c === 0 ? 'w' : 'b') + 'P';
+    for(let f=Math.max(0, kf-1); f<=Math.min(7, kf+1); f++){
+      if(inBoard(f, kr+dir) && B[idx(f, kr+dir)] === pawn){
+        mg[c] += W.kingShield[0]; eg[c] += W.kingShield[1];
+      } else if(inBoard(f, kr+2*dir) && B[idx(f, kr+2*dir)] === pawn){
+        mg[c] += W.kingShield[0] / 2; eg[c] += W.kingShield[1] / 2;
+      }
+      if(pawns[c][f] === 0){
+        const w = pawns[1-c][f] === 0 ? W.kingOpenFile : W.kingHalfOpen;
+        mg[c] += w[0]; eg[c] += w[1];
+      }
+    }
+  }
+
+  phase = Math.min(phase, 24);
+  return Math.round(((mg[0] - mg[1]) * phase + (eg[0] - eg[1]) * (24 - phase)) / 24);
+}
+function evalStatic(s){ const e = evaluate(s); return s.turn==='w' ? e : -e; }
+
+// Zobrist hashing: one random number per (piece, square), side to move,
+// castling right and en passant file, XORed together. Keys are 52-bit
+// integers (32 low + 20 high bits) so they stay exact as JS numbers.
+const ZOBRIST = (() => {
+  let x = 0x9E3779B9; // fixed seed: keys are the same in every run
+  const next = () => { x ^= x << 13; x ^= x >>> 17; x ^= x << 5; return x >>> 0; };
+  const lo = new Uint32Array(781), hi = new Uint32Array(781);
+  for(let i=0; i<781; i++){ lo[i] = next(); hi[i] = next() & 0xFFFFF; }
+  return { lo, hi };
+})();
+const PIECE_CODE = { wP:0, wN:1, wB:2, wR:3, wQ:4, wK:5, bP:6, bN:7, bB:8, bR:9, bQ:10, bK:11 };
+
+export function zobrist(s){
+  let lo = 0, hi = 0;
+  const add = k => { lo ^= ZOBRIST.lo[k]; hi ^= ZOBRIST.hi[k]; };
+  for(let i=0; i<64; i++){
+    const p = s.board[i];
+    if(p) add(PIECE_CODE[p] * 64 + i);
+  }
+  if(s.turn === 'b') add(768);
+  if(s.castling.wK) add(769);
+  if(s.castling.wQ) add(770);
+  if(s.castling.bK) add(771);
+  if(s.castling.bQ) add(772);
+  if(epReady(s)) add(773 + file(s.ep));
+  return hi * 4294967296 + (lo >>> 0);
+}
+
+// Transposition table: zobrist key -> { depth, score, flag, move }.
+// Kept between searches and simply emptied when it grows too big.
+const TT = new Map();
+const TT_MAX = 1 << 20;
+const TT_EXACT = 0, TT_LOWER = 1, TT_UPPER = 2;
+
+// Mate scores are stored relative to the node, not the root
+function toTT(score, ply){ return score > MATE - MAX_PLY ? score + ply : score < -MATE + MAX_PLY ? score - ply : score; }
+function fromTT(score, ply){ return score > MATE - MAX_PLY ? score - ply : score < -MATE + MAX_PLY ? score + ply : score; }
+
+// Quiet moves that caused a cutoff: two killers per ply, plus a
+// history score per from/to pair that grows with the depth searched
+let killers = [];
+const historyScore = new Int32Array(64 * 64);
+
+const sameMove = (a, b) => a.from === b.from && a.to === b.to && (a.flags?.promo || null) === (b.flags?.promo || null);
+const isQuiet = m => !m.flags?.capture && !m.flags?.promo;
+
+function rememberCutoff(m, depth, ply){
+  const k = killers[ply] || (killers[ply] = []);
+  if(!k.some(o => sameMove(o, m))){ k.unshift(m); k.length = Math.min(k.length, 2); }
+  historyScore[m.from * 64 + m.to] += depth * depth;
+}
+
+// Move ordering: the hash move first, then captures and promotions
+// (basic MVV/LVA-ish, promotions by piece value), killers, and the
+// remaining quiet moves by history score
+function orderMoves(moves, s, hashMove = null, ply = -1){
+  const B=s.board;
+  const killed = killers[ply] || [];
+  const key = m => {
+    if(hashMove && sameMove(m, hashMove)) return 3e6;
+    const promo = m.flags?.promo ? VAL[m.flags.promo] : 0;
+    if(m.flags?.capture) return 2e6 + VAL[B[m.to]?.[1]||'P'] - VAL[B[m.from][1]] + promo;
+    if(promo) return 2e6 + promo;
+    if(killed.some(k => sameMove(k, m))) return 1e6;
+    return Math.min(historyScore[m.from * 64 + m.to], 9e5);
+  };
+  return moves.slice().sort((a,b) => key(b) - key(a));
+}
+
+// `path` holds the zobrist keys of the game so far plus the current
+// search line; returning to any of them is scored as a draw.
+export function negamax(s, depth, alpha, beta, path = [], ply = 0){
+  if((++searchNodes & 255) === 0 && Date.now() > searchDeadline) throw SEARCH_TIMEOUT;
+  const key = zobrist(s);
+  if(ply > 0 && (s.halfmove >= 100 || (s.halfmove > 0 && path.includes(key)))) return { score: 0 };
+  if(ply >= MAX_PLY) return { score: evalStatic(s) };
+
+  // No line from here can beat a mate already found nearer the root
+  alpha = Math.max(alpha, -MATE + ply);
+  beta = Math.min(beta, MATE - ply - 1);
+  if(alpha >= beta) return { score: alpha };
+
+  const entry = TT.get(key);
+  if(entry && ply > 0 && entry.depth >= depth){
+    const score = fromTT(entry.score, ply);
+    if(entry.flag === TT_EXACT
+       || (entry.flag === TT_LOWER && score >= beta)
+       || (entry.flag === TT_UPPER && score <= alpha)) return { score, move: entry.move };
+  }
+
+  // At the horizon, settle the captures first (in check: search on)
+  const checked = inCheck(s);
+  if(depth <= 0 && !checked) return { score: quiesce(s, alpha, beta) };
+
+  const moves = genMoves(s);
+  if(moves.length === 0){
+    return { score: checked ? -MATE + ply : 0 };
+  }
+  const alpha0 = alpha;
+  let best = { score: -INF, move: null };
+  path.push(key);
+  for(const m of orderMoves(moves, s, entry?.move, ply)){
+    const s2 = makeMove(s, m);
+    const { score } = negamax(s2, Math.max(depth, 1)-1, -beta, -alpha, path, ply+1);
+    const n = -score;
+    if(n > best.score || !best.move) best = { score: n, move: m };
+    if(n > alpha) alpha = n;
+    if(alpha >= beta){ // cutoff
+      if(isQuiet(m)) rememberCutoff(m, depth, ply);
+      break;
+    }
+  }
+  path.pop();
+
+  const flag = best.score <= alpha0 ? TT_UPPER : best.score >= beta ? TT_LOWER : TT_EXACT;
+  if(TT.size >= TT_MAX) TT.clear();
+  TT.set(key, { depth, score: toTT(best.score, ply), flag, move: best.move });
+  return best;
+}
+
+// Quiescence: only captures and queen promotions, until the position is
+// quiet. The side to move may "stand pat" on the static evaluation.
+function quiesce(s, alpha, beta){
+  if((++searchNodes & 255) === 0 && Date.now() > searchDeadline) throw SEARCH_TIMEOUT;
+  const stand = evalStatic(s);
+  if(stand >= beta) return stand;
+  if(stand > alpha) alpha = stand;
+  const noisy = genMoves(s).filter(m => m.flags?.capture || m.flags?.promo === 'Q');
+  for(const m of orderMoves(noisy, s)){
+    const score = -quiesce(makeMove(s, m), -beta, -alpha);
+    if(score >= beta) return score;
+    if(score > alpha) alpha = score;
+  }
+  return alpha;
+}
+
+// How long to think on a clock (all in ms): a share of the remaining
+// time plus most of the increment, never more than half of what is left,
+// minus a little for messaging and animation overhead
+export function thinkTime(left, inc = 0, movesToGo = 30){
+  const share = left / movesToGo + inc * 0.75;
+  return Math.max(10, Math.min(share, left / 2) - 50);
+}
+
+// Principal variation: `first` followed by the best moves stored in
+// the transposition table, as far as they stay legal and don't repeat
+function principalVariation(s, first, maxLen = 16){
+  const pv = [first], seen = new Set([zobrist(s)]);
+  let pos = makeMove(s, first);
+  while(pv.length < maxLen){
+    const key = zobrist(pos);
+    if(seen.has(key)) break;
+    seen.add(key);
+    const hashMove = TT.get(key)?.move;
+    const m = hashMove && genMoves(pos).find(o => sameMove(o, hashMove));
+    if(!m) break;
+    pv.push(m);
+    pos = makeMove(pos, m);
+  }
+  return pv;
+}
+
+// Iterative deepening up to `depth` plies, stopping once `timeMs` has
+// run out. `path` are the zobrist keys of the game positions before `s`.
+// `onInfo`, if given, receives the result of every completed iteration.
+// Returns the deepest completed result:
+//   { move, score, depth, pv, nodes, nps, time }
+export function searchBest(s, depth, timeMs = Infinity, path = [], onInfo = null){
+  const start = Date.now(), deadline = start + timeMs;
+  const stats = r => {
+    const time = Math.max(1, Date.now() - start);
+    return { ...r, nodes: searchNodes, nps: Math.round(searchNodes * 1000 / time), time };
+  };
+  const first = genMoves(s)[0] ?? null;
+  let best = { move: first, score: 0, depth: 0, pv: first ? [first] : [] };
+  searchNodes = 0;
+  killers = [];
+  for(let i=0; i<historyScore.length; i++) historyScore[i] >>= 1; // age old history
+  for(let d=1; d<=depth; d++){
+    // The first iteration always completes so there is a move to play
+    searchDeadline = d === 1 ? Infinity : deadline;
+    try {
+      const r = negamax(s, d, -INF, INF, path.slice());
+      if(r.move) best = { move: r.move, score: r.score, depth: d, pv: principalVariation(s, r.move) };
+    } catch(err){
+      if(err !== SEARCH_TIMEOUT) throw err;
+      break;
+    }
+    if(onInfo) onInfo(stats(best));
+    // A forced mate found: searching deeper can't improve on it
+    if(Math.abs(best.score) > MATE - MAX_PLY || Date.now() > deadline) break;
+  }
+  searchDeadline = Infinity;
+  return stats(best);
+}
+
+// Multi-PV: the best `count` moves of `s`, each with its own score and
+// line, under the same depth / time limits as searchBest. Each root move
+// only has to prove it beats the current count-th best, so the rest
+// fail low cheaply. `rootMoves` limits the search to those moves of `s`.
+// Returns (and passes to `onInfo` per iteration)
+//   { lines: [{ move, score, pv }], depth, nodes, nps, time }
+export function searchLines(s, count, depth, timeMs = Infinity, path = [], onInfo = null, rootMoves = null){
+  const start = Date.now(), deadline = start + timeMs;
+  const stats = r => {
+    const time = Math.max(1, Date.now() - start);
+    return { ...r, nodes: searchNodes, nps: Math.round(searchNodes * 1000 / time), time };
+  };
+  const rootPath = [...path, zobrist(s)];
+  let order = rootMoves ?? genMoves(s);
+  let best = { lines: [], depth: 0 };
+  searchNodes = 0;
+  killers = [];
+  for(let i=0; i<historyScore.length; i++) historyScore[i] >>= 1;
+  for(let d=1; d<=depth && order.length; d++){
+    searchDeadline = d === 1 ? Infinity : deadline;
+    const found = [];
+    try {
+      for(const m of order){
+        const floor = found.length >= count ? found[count - 1].score : -INF;
+        const score = -negamax(makeMove(s, m), d - 1, -INF, -floor, rootPath.slice(), 1).score;
+        found.push({ move: m, score });
+        found.sort((a, b) => b.score - a.score);
+      }
+    } catch(err){
+      if(err !== SEARCH_TIMEOUT) throw err;
+      break;
+    }
+    order = found.map(f => f.move); // best first next time
+    best = {
+      depth: d,
+      lines: found.slice(0, count).map(f => ({ move: f.move, score: f.score, pv: principalVariation(s, f.move) }))
+    };
+    if(onInfo) onInfo(stats(best));
+    if(Date.now() > deadline) break;
+  }
+  searchDeadline = Infinity;
+  return stats(best);
+}
+
+/* ----------------------------------------
+   6) Perft (move generation self-check)
+   ---------------------------------------- */
+
+// Count the leaf nodes of the legal move tree `depth` plies deep.
+// Standard positions have well-known counts, so any difference points
+// at a bug in genMoves/makeMove (see test/perft.test.js).
+export function perft(pos, depth){
+  const s = typeof pos === 'string' ? fromFEN(pos) : pos;
+  if(depth === 0) return 1;
+  const moves = genMoves(s);
+  if(depth === 1) return moves.length;
+  let nodes = 0;
+  for(const m of moves) nodes += perft(makeMove(s, m), depth - 1);
+  return nodes;
+}
+
+// Divide mode: the perft count below each root move, keyed by its
+// coordinate notation ({ e2e4: 9771, ... }), for bisecting a mismatch
+// against another engine's output
+export function perftDivide(pos, depth){
+  const s = typeof pos === 'string' ? fromFEN(pos) : pos;
+  const out = {};
+  for(const m of genMoves(s)) out[moveToCoord(m)] = perft(makeMove(s, m), depth - 1);
+  return out;
+}
+
+/* ----------------------------------------
+   7) Game review (judging played moves)
+   ---------------------------------------- */
+
+// Evaluation drop (centipawns, from the mover's side) that earns each
+// mark, worst first
+export const JUDGEMENTS = [['blunder', 300], ['mistake', 150], ['inaccuracy', 60]];
+const REVIEW_CAP = 1000; // mates and crushing leads all count as ±10 pawns
+
+// Judge a move by the White-relative search scores of the positions
+// before and after it: null, or 'inaccuracy' / 'mistake' / 'blunder'
+export function judgeMove(before, after, mover){
+  const clamp = x => Math.max(-REVIEW_CAP, Math.min(REVIEW_CAP, x));
+  const loss = (clamp(before) - clamp(after)) * (mover === 'w' ? 1 : -1);
+  return JUDGEMENTS.find(([, cp]) => loss >= cp)?.[0] || null;
+}
+
+/* ----------------------------------------
+   8) Puzzles (sets, solutions, rating)
+   ---------------------------------------- */
+// A puzzle set is JSON (an array of objects) or CSV with a header row.
+// Either way each puzzle has: id, fen (the solver to move), moves
+// (coordinate moves, solver first, space-separated), rating and themes
+// (space-separated in CSV). Throws on a bad FEN or an illegal move.
+export function parsePuzzles(text){
+  const t = text.trim();
+  const rows = t.startsWith('[') ? JSON.parse(t) : csvRows(t);
+  const words = v => Array.isArray(v) ? v : String(v ?? '').split(/\s+/).filter(Boolean);
+  return rows.map((r, n) => {
+    const id = String(r.id ?? n + 1);
+    const moves = words(r.moves);
+    let s;
+    try{ s = fromFEN(r.fen); } catch(err){ throw new Error(`Puzzle ${id}: ${err.message}`); }
+    if(!moves.length) throw new Error(`Puzzle ${id}: no solution moves`);
+    for(const c of moves){
+      const m = genMoves(s).find(m => moveToCoord(m) === c);
+      if(!m) throw new Error(`Puzzle ${id}: illegal move ${c}`);
+      s = makeMove(s, m);
+    }
+    return { id, fen: r.fen, moves, rating: +r.rating || 1500, themes: words(r.themes) };
+  });
+}
+
+// CSV rows as objects keyed by the lower-cased header names
+function csvRows(text){
+  const [head, ...lines] = text.split(/\r?\n/).filter(l => l.trim());
+  const keys = head.split(',').map(k => k.trim().toLowerCase());
+  return lines.map(l => {
+    const cells = l.split(',');
+    return Object.fromEntries(keys.map((k, i) => [k, (cells[i] ?? '').trim()]));
+  });
+}
+
+// True if move `m` from `s` is right at solution step `ply`: the
+// listed move, or on the last step any move that mates
+export function solvesPuzzle(puzzle, ply, s, m){
+  if(moveToCoord(m) === puzzle.moves[ply]) return true;
+  if(ply !== puzzle.moves.length - 1) return false;
+  const s2 = makeMove(s, m);
+  return inCheck(s2) && !genMoves(s2).length;
+}
+
+// Elo update of a solver's rating after solving (or failing) a puzzle
+export function puzzleRating(rating, against, solved, k=32){
+  return eloRating(rating, against, solved ? 1 : 0, k);
+}
+
+// Elo update after scoring `score` (1 win, 0.5 draw, 0 loss) against `against`
+export function eloRating(rating, against, score, k=32){
+  const expected = 1 / (1 + 10 ** ((against - rating) / 400));
+  return Math.round(rating + k * (score - expected));
+}
+
+/* ----------------------------------------
+   9) Skill levels
+   ---------------------------------------- */
+// Levels 1–20 by approximate Elo. Weaker levels search less deeply and
+// also err on purpose: each candidate move is played with weight
+// exp(-loss / temperature), loss being how many centipawns it scores
+// below the best, so small slips are common and big blunders rare but
+// possible. Level 20 is the plain search. Levels from 11 up play small
+// endings from the tablebases.
+export const SKILL_LEVELS = [
+  { elo:  250, depth: 1, temperature: 300 },
+  { elo:  350, depth: 1, temperature: 250 },
+  { elo:  450, depth: 1, temperature: 200 },
+  { elo:  550, depth: 1, temperature: 170 },
+  { elo:  650, depth: 2, temperature: 150 },
+  { elo:  750, depth: 2, temperature: 130 },
+  { elo:  850, depth: 2, temperature: 110 },
+  { elo:  950, depth: 2, temperature:  95 },
+  { elo: 1050, depth: 3, temperature:  80 },
+  { elo: 1150, depth: 3, temperature:  68 },
+  { elo: 1250, depth: 3, temperature:  57, tablebase: true },
+  { elo: 1350, depth: 3, temperature:  47, tablebase: true },
+  { elo: 1450, depth: 4, temperature:  38, tablebase: true },
+  { elo: 1550, depth: 4, temperature:  30, tablebase: true },
+  { elo: 1650, depth: 4, temperature:  23, tablebase: true },
+  { elo: 1750, depth: 5, temperature:  17, tablebase: true },
+  { elo: 1850, depth: 5, temperature:  12, tablebase: true },
+  { elo: 1950, depth: 6, temperature:   7, tablebase: true },
+  { elo: 2050, depth: 7, temperature:   3, tablebase: true },
+  { elo: 2150, depth: 32, temperature:  0, tablebase: true }
+];
+const SKILL_CANDIDATES = 8; // moves weighed beyond depth 2 (below it, every move)
+
+export const skillLevel = n => SKILL_LEVELS[Math.max(1, Math.min(n, SKILL_LEVELS.length)) - 1];
+
+// The level whose Elo is closest to `rating`, for adaptive play
+export function levelForRating(rating){
+  let best = 1;
+  SKILL_LEVELS.forEach((l, i) => {
+    if(Math.abs(l.elo - rating) < Math.abs(skillLevel(best).elo - rating)) best = i + 1;
+  });
+  return best;
+}
+
+// One of `lines` (best first, as from searchLines) chosen by weight
+// exp(-loss / temperature); temperature 0 takes the best
+export function pickSkillMove(lines, temperature, random = Math.random){
+  if(!temperature) return lines[0];
+  const weights = lines.map(l => Math.exp(-(lines[0].score - l.score) / temperature));
+  let r = random() * weights.reduce((a, b) => a + b, 0);
+  return lines.find((_, i) => (r -= weights[i]) < 0) ?? lines[0];
+}
+
+// searchBest at a skill level; same result shape. `rootMoves` limits
+// the choice to those moves of `s`.
+export function searchSkill(s, level, timeMs = Infinity, path = [], random = Math.random, rootMoves = null){
+  const { depth, temperature } = skillLevel(level);
+  if(!temperature && !rootMoves) return searchBest(s, depth, timeMs, path);
+  const count = !temperature ? 1 : depth <= 2 ? Infinity : SKILL_CANDIDATES;
+  const r = searchLines(s, count, depth, timeMs, path, null, rootMoves);
+  const pick = temperature ? pickSkillMove(r.lines, temperature, random) : r.lines[0];
+  return { move: pick.move, score: pick.score, pv: pick.pv, depth: r.depth, nodes: r.nodes, nps: r.nps, time: r.time };
+}
@@ -0,0 +1,445 @@
+/* =====================================================================
+   Vanilla JS Chess — endgame tablebases (up to 4 men)
+   Distance-to-mate tables built in memory by retrograde analysis the
+   first time an ending comes up, so nothing is downloaded. Like
+   engine.js there is no DOM here; the page uses it from the AI worker.
+
+     import { buildTables, probe, tablebaseMove } from './tablebase.js';
+
+   A 4-man table takes from seconds to minutes to build. buildTables()
+   does it a slice at a time, so a caller on the clock can stop at a
+   deadline and carry on later; probe() and tablebaseMove() build
+   whatever is missing in one go.
+
+   Tables ignore castling (positions with castling rights aren't
+   probed), en passant (resolved by looking one ply ahead) and the
+   50-move rule.
+   ===================================================================== */
+
+import { MATE, genMoves, makeMove } from './engine.js';
+
+export const TB_MEN = 4; // most pieces (kings included) a table covers
+
+/* ------------------------------
+   1) Board geometry
+   ------------------------------ */
+const TYPES = 'QRBNP'; // non-king pieces, strongest first
+const DIRS = [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]]; // 4 straight, 4 diagonal
+const KNIGHT_JUMPS = [[1,2],[2,1],[2,-1],[1,-2],[-1,-2],[-2,-1],[-2,1],[-1,2]];
+const onBoard = (f, r) => f >= 0 && f < 8 && r >= 0 && r < 8;
+
+const KING_TO = [], KNIGHT_TO = [], RAYS = [];
+const KING_ADJ = new Uint8Array(4096), KNIGHT_ADJ = new Uint8Array(4096);
+const LINE = new Uint8Array(4096);       // 1 = same rank/file, 2 = same diagonal
+const BETWEEN = new Uint8Array(262144);  // [a*4096 + b*64 + c]: c strictly between a and b
+const PAWN_HITS = [new Uint8Array(4096), new Uint8Array(4096)]; // [colour][from*64 + to]
+
+for(let sq = 0; sq < 64; sq++){
+  const f = sq & 7, r = sq >> 3;
+  KING_TO[sq] = DIRS.filter(([df, dr]) => onBoard(f + df, r + dr)).map(([df, dr]) => sq + df + 8 * dr);
+  KNIGHT_TO[sq] = KNIGHT_JUMPS.filter(([df, dr]) => onBoard(f + df, r + dr)).map(([df, dr]) => sq + df + 8 * dr);
+  for(const t of KING_TO[sq]) KING_ADJ[sq * 64 + t] = 1;
+  for(const t of KNIGHT_TO[sq]) KNIGHT_ADJ[sq * 64 + t] = 1;
+  RAYS[sq] = DIRS.map(([df, dr], d) => {
+    const ray = [];
+    for(let k = 1; onBoard(f + df * k, r + dr * k); k++){
+      const t = sq + (df + 8 * dr) * k;
+      ray.push(t);
+      LINE[sq * 64 + t] = d < 4 ? 1 : 2;
+      for(const c of ray.slice(0, -1)) BETWEEN[sq * 4096 + t * 64 + c] = 1;
+    }
+    return ray;
+  });
+  for(const [c, dr] of [[0, 1], [1, -1]]){
+    for(const df of [-1, 1]) if(onBoard(f + df, r + dr)) PAWN_HITS[c][sq * 64 + sq + df + 8 * dr] = 1;
+  }
+}
+
+// The 8 board symmetries as square maps. Pawnless tables keep the white
+// king in the a1-d1-d4 triangle; tables with pawns only mirror files.
+const SYMS = [];
+for(const flipF of [0, 1]) for(const flipR of [0, 1]) for(const swap of [0, 1]){
+  SYMS.push(Array.from({ length: 64 }, (_, sq) => {
+    let f = sq & 7, r = sq >> 3;
+    if(flipF) f = 7 - f;
+    if(flipR) r = 7 - r;
+    return swap ? f * 8 + r : r * 8 + f;
+  }));
+}
+const TRIANGLE = [0, 1, 2, 3, 9, 10, 11, 18, 19, 27]; // a1 b1 c1 d1 b2 c2 d2 c3 d3 d4
+const TRIANGLE_SLOT = new Int8Array(64).fill(-1);
+TRIANGLE.forEach((sq, n) => TRIANGLE_SLOT[sq] = n);
+// Symmetries taking each white king square into the triangle (two on its diagonal)
+const KING_SYMS = Array.from({ length: 64 }, (_, sq) => SYMS.filter(map => TRIANGLE_SLOT[map[sq]] >= 0));
+
+/* ------------------------------
+   2) Tables and their indexing
+   ------------------------------ */
+// A table covers one material balance, e.g. "KQvKR", with the stronger
+// side as White. Pieces are numbered white king, black king, then the
+// other white and black pieces strongest first. A position's index is
+// side to move, white king slot, then the other pieces' squares.
+// `val` holds plies to mate + 1 (odd plies: the side to move mates,
+// even: it gets mated), 0 for a draw.
+const tables = new Map();
+const building = new Map(); // sig -> buildTable() generator, part way through
+
+function tableIndex(T, sq, side){
+  if(T.pawns){
+    const m = (sq[0] & 7) > 3 ? 7 : 0; // mirror files so the white king is on a-d
+    const k = sq[0] ^ m;
+    let i = side * 32 + (k >> 3) * 4 + (k & 7);
+    for(let j = 1; j < T.n; j++) i = i * 64 + (sq[j] ^ m);
+    return i;
+  }
+  let best = -1;
+  for(const map of KING_SYMS[sq[0]]){
+    let i = side * 10 + TRIANGLE_SLOT[map[sq[0]]];
+    for(let j = 1; j < T.n; j++) i = i * 64 + map[sq[j]];
+    if(best < 0 || i < best) best = i;
+  }
+  return best;
+}
+
+// Where a set of pieces is looked up: { table, order, flip } with the
+// table's pieces taken from `order` (indices into `pieces`), colours
+// swapped and the board turned if `flip`; { draw: true } for bare kings.
+// The table may not be built yet: see tableBuilder.
+// `pieces` is [{ c: 0|1, t: 'K'|'Q'|… }].
+function locate(pieces){
+  const others = c => pieces.map((p, n) => ({ ...p, n })).filter(p => p.c === c && p.t !== 'K')
+    .sort((a, b) => TYPES.indexOf(a.t) - TYPES.indexOf(b.t));
+  let w = others(0), b = others(1);
+  if(!w.length && !b.length) return { draw: true };
+  const str = list => list.map(p => p.t).join('');
+  // Stronger side first: more pieces, then the stronger first difference
+  const diff = w.findIndex((p, k) => p.t !== b[k]?.t);
+  const flip = w.length !== b.length ? w.length < b.length :
+    diff >= 0 && TYPES.indexOf(w[diff].t) > TYPES.indexOf(b[diff].t);
+  if(flip) [w, b] = [b, w];
+  const king = c => pieces.findIndex(p => p.c === c && p.t === 'K');
+  const order = [king(flip ? 1 : 0), king(flip ? 0 : 1), ...w.map(p => p.n), ...b.map(p => p.n)];
+  return { sig: `K${str(w)}vK${str(b)}`, order, flip };
+}
+
+// Builds table `sig` and the tables it leads into, yielding now and
+// then; a build left part way is picked up where it stopped
+function* tableBuilder(sig){
+  if(tables.has(sig)) return;
+  let run = building.get(sig);
+  if(!run){
+    run = buildTable(sig);
+    building.set(sig, run);
+  }
+  yield* run;
+}
+
+/* ------------------------------
+   3) Retrograde analysis
+   ------------------------------ */
+// Every legal position is set up with its moves counted and the
+// results of captures and promotions (which leave the table) taken from
+// smaller tables. Then, shortest mates first: a position that is lost
+// makes everything that can move into it won, and a position that is
+// won makes its predecessors lost once all their moves are known to
+// lose. Whatever is never reached is a draw.
+function* buildTable(sig){
+  const [wStr, bStr] = sig.split('v');
+  const pieces = [{ c: 0, t: 'K' }, { c: 1, t: 'K' },
+    ...[...wStr.slice(1)].map(t => ({ c: 0, t })), ...[...bStr.slice(1)].map(t => ({ c: 1, t }))];
+  const n = pieces.length;
+  const colour = pieces.map(p => p.c), type = pieces.map(p => p.t);
+  const pawns = type.includes('P');
+  const slots = pawns ? 32 : 10;
+  const size = 2 * slots * 64 ** (n - 1);
+  const T = { sig, n, pawns, size, val: new Uint8Array(size) };
+  const val = T.val;
+  const count = new Uint8Array(size);    // moves not yet known to lose; CANT_LOSE, ILLEGAL
+  const lossFloor = new Uint8Array(size); // plies of the longest losing capture / promotion
+  const CANT_LOSE = 254, ILLEGAL = 255;
+  const buckets = [];                     // buckets[plies] = indices settled at that distance
+  const push = (i, plies) => (buckets[plies] ||= []).push(i);
+
+  const sq = new Int8Array(n);
+  // True if `target` is attacked by colour `by`, ignoring piece `skip`
+  function attacked(target, by, skip){
+    for(let j = 0; j < n; j++){
+      if(colour[j] !== by || j === skip) continue;
+      const from = sq[j], t = type[j], at = from * 64 + target;
+      let hit;
+      if(t === 'K') hit = KING_ADJ[at];
+      else if(t === 'N') hit = KNIGHT_ADJ[at];
+      else if(t === 'P') hit = PAWN_HITS[by][at];
+      else hit = (t === 'Q' ? LINE[at] : LINE[at] === (t === 'R' ? 1 : 2));
+      if(hit && (t === 'Q' || t === 'R' || t === 'B')){
+        for(let k = 0; k < n; k++){
+          if(k !== j && k !== skip && BETWEEN[from * 4096 + target * 64 + sq[k]]){ hit = false; break; }
+        }
+      }
+      if(hit) return true;
+    }
+    return false;
+  }
+  const occ = new Int8Array(64).fill(-1); // piece on each square of the position set up
+  const pieceAt = t => occ[t];
+  // Set up position i in sq / occ and return its side to move
+  function setUp(i){
+    for(let j = 0; j < n; j++) if(occ[sq[j]] === j) occ[sq[j]] = -1;
+    let rest = i;
+    for(let j = n - 1; j > 0; j--){ sq[j] = rest & 63; rest >>= 6; }
+    const slot = rest % slots;
+    sq[0] = pawns ? (slot >> 2) * 8 + (slot & 3) : TRIANGLE[slot];
+    for(let j = n - 1; j >= 0; j--) occ[sq[j]] = j;
+    return (rest - slot) / slots;
+  }
+
+  // Calls visit(j, to, captured) for every pseudo-legal move of `side`
+  // (captured = -1 for none); pawn moves to the last rank come once
+  function eachMove(side, visit){
+    for(let j = 0; j < n; j++){
+      if(colour[j] !== side) continue;
+      const from = sq[j], t = type[j];
+      if(t === 'P'){
+        const step = side ? -8 : 8, one = from + step;
+        if(pieceAt(one) < 0){
+          visit(j, one, -1);
+          const startRank = side ? 6 : 1;
+          if(from >> 3 === startRank && pieceAt(one + step) < 0) visit(j, one + step, -1);
+        }
+        for(let k = 0; k < n; k++){
+          if(colour[k] !== side && PAWN_HITS[side][from * 64 + sq[k]]) visit(j, sq[k], k);
+        }
+      } else if(t === 'K' || t === 'N'){
+        for(const to of (t === 'K' ? KING_TO : KNIGHT_TO)[from]){
+          const k = pieceAt(to);
+          if(k < 0) visit(j, to, -1);
+          else if(colour[k] !== side) visit(j, to, k);
+        }
+      } else {
+        for(let d = t === 'B' ? 4 : 0; d < (t === 'R' ? 4 : 8); d++){
+          for(const to of RAYS[from][d]){
+            const k = pieceAt(to);
+            if(k < 0){ visit(j, to, -1); continue; }
+            if(colour[k] !== side) visit(j, to, k);
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  // Captures and promotions lead into other tables, built first
+  const exits = new Map();
+  const exitKey = (captured, promoted, promoType) => captured * 64 + promoted * 8 + (promoType ? TYPES.indexOf(promoType) + 1 : 0);
+  for(let captured = -1; captured < n; captured++){
+    if(captured === 0 || captured === 1) continue; // kings
+    for(let promoted = -1; promoted < n; promoted++){
+      if(promoted >= 0 && (type[promoted] !== 'P' || promoted === captured || colour[promoted] === colour[captured])) continue;
+      for(const promoType of promoted >= 0 ? 'QRBN' : [null]){
+        if(captured < 0 && !promoType) continue;
+        const rest = pieces.map((p, k) => k === promoted ? { ...p, t: promoType } : p);
+        let where = locate(rest.map((p, k) => k === captured ? null : p).filter(Boolean));
+        if(!where.draw){
+          yield* tableBuilder(where.sig);
+          // locate() numbered the pieces without the captured one; map back
+          const kept = rest.map((_, k) => k).filter(k => k !== captured);
+          where = { table: tables.get(where.sig), order: where.order.map(k => kept[k]), flip: where.flip };
+        }
+        exits.set(exitKey(captured, promoted, promoType), where);
+      }
+    }
+  }
+  function exitValue(captured, promoted, promoType, side){
+    const where = exits.get(exitKey(captured, promoted, promoType));
+    if(where.draw) return 0;
+    const sub = where.order.map(k => where.flip ? sq[k] ^ 56 : sq[k]);
+    return where.table.val[tableIndex(where.table, sub, where.flip ? 1 - side : side)];
+  }
+
+  // Set up every position
+  const children = [];
+  let side, king, inCheck, moves, bestWin, cantLose, floor;
+  const visit = (j, to, captured) => {
+    const from = sq[j];
+    sq[j] = to;
+    // Only king moves, check, or a piece in line with its king can expose the king
+    const risky = j === side || inCheck || LINE[king * 64 + from];
+    if(!risky || !attacked(j === side ? to : king, 1 - side, captured)){
+      moves++;
+      const lastRank = type[j] === 'P' && (to >> 3 === 0 || to >> 3 === 7);
+      if(captured >= 0 || lastRank){
+        for(const promo of lastRank ? 'QRBN' : ' '){
+          const v = exitValue(captured, lastRank ? j : -1, lastRank ? promo : null, 1 - side);
+          if(!v) cantLose = true;
+          else if((v - 1) % 2 === 0){ // the opponent gets mated
+            if(!bestWin || v < bestWin) bestWin = v;
+          } else floor = Math.max(floor, v);
+        }
+      } else {
+        const child = tableIndex(T, sq, 1 - side);
+        if(!children.includes(child)) children.push(child);
+      }
+    }
+    sq[j] = from;
+  };
+  for(let i = 0; i < size; i++){
+    if(!(i & 4095)) yield;
+    side = setUp(i);
+    if(!legalSetup(side) || tableIndex(T, sq, side) !== i){ count[i] = ILLEGAL; continue; }
+    children.length = 0;
+    moves = 0; bestWin = 0; cantLose = false; floor = 0;
+    king = sq[side];
+    inCheck = attacked(king, 1 - side, -1);
+    eachMove(side, visit);
+    if(!moves){
+      if(inCheck) push(i, 0); // checkmate
+      else count[i] = CANT_LOSE;                    // stalemate
+      continue;
+    }
+    if(bestWin) push(i, bestWin);
+    count[i] = cantLose || bestWin ? CANT_LOSE : children.length;
+    lossFloor[i] = floor;
+    if(!children.length && !cantLose && !bestWin) push(i, floor);
+  }
+
+  // Legal: no two pieces on a square, no pawn on the first or last
+  // rank, and the side not to move not in check
+  function legalSetup(side){
+    for(let j = 0; j < n; j++){
+      if(type[j] === 'P' && (sq[j] >> 3 === 0 || sq[j] >> 3 === 7)) return false;
+      for(let k = 0; k < j; k++) if(sq[j] === sq[k]) return false;
+    }
+    return !attacked(sq[1 - side], side, -1);
+  }
+
+  // Positions the side that just moved in `sq` could have come from
+  // (no captures or promotions: those came from other tables)
+  const preds = [];
+  function predecessors(side){
+    preds.length = 0;
+    const mover = 1 - side;
+    for(let j = 0; j < n; j++){
+      if(colour[j] !== mover) continue;
+      const at = sq[j], t = type[j];
+      const back = from => {
+        sq[j] = from;
+        const p = tableIndex(T, sq, mover);
+        if(count[p] !== ILLEGAL && !preds.includes(p)) preds.push(p);
+        sq[j] = at;
+      };
+      if(t === 'P'){
+        const step = mover ? -8 : 8, one = at - step;
+        const r = at >> 3;
+        if(r === (mover ? 6 : 1) || pieceAt(one) >= 0) continue; // a pawn on its start rank never moved
+        if(r !== (mover ? 0 : 7)) back(one);
+        if(r === (mover ? 4 : 3) && pieceAt(one - step) < 0) back(one - step);
+      } else if(t === 'K' || t === 'N'){
+        for(const from of (t === 'K' ? KING_TO : KNIGHT_TO)[at]) if(pieceAt(from) < 0) back(from);
+      } else {
+        for(let d = t === 'B' ? 4 : 0; d < (t === 'R' ? 4 : 8); d++){
+          for(const from of RAYS[at][d]){
+            if(pieceAt(from) >= 0) break;
+            back(from);
+          }
+        }
+      }
+    }
+    return preds;
+  }
+
+  // Settle positions in order of distance to mate
+  let settled = 0;
+  for(let plies = 0; plies < buckets.length && plies < 254; plies++){
+    for(const i of buckets[plies] || []){
+      if(val[i]) continue;
+      if(!(++settled & 1023)) yield;
+      val[i] = plies + 1;
+      for(const p of predecessors(setUp(i))){
+        if(val[p]) continue;
+        if(plies % 2 === 0) push(p, plies + 1); // moving here wins
+        else if(count[p] !== CANT_LOSE && --count[p] === 0) push(p, Math.max(plies + 1, lossFloor[p]));
+      }
+    }
+    buckets[plies] = null;
+  }
+  tables.set(sig, T);
+  building.delete(sig);
+}
+
+/* ------------------------------
+   4) Probing
+   ------------------------------ */
+// The pieces of `s` for locate() and their squares, or null if `s`
+// isn't covered
+function piecesOf(s){
+  const pieces = [], squares = [];
+  s.board.forEach((p, i) => {
+    if(p){ pieces.push({ c: p[0] === 'w' ? 0 : 1, t: p[1] }); squares.push(i); }
+  });
+  if(pieces.length > TB_MEN || Object.values(s.castling).some(Boolean)) return null;
+  return { pieces, squares };
+}
+
+// Build the tables `s` needs, stopping at time `until` (a Date.now()
+// value). True once they are all built, false if time ran out first
+// (call again to carry on), null if `s` isn't covered.
+export function buildTables(s, until = Infinity){
+  const on = piecesOf(s);
+  if(!on) return null;
+  const where = locate(on.pieces);
+  if(where.draw || tables.has(where.sig)) return true;
+  const run = tableBuilder(where.sig);
+  while(Date.now() < until) if(run.next().done) return true;
+  return false;
+}
+
+// Table result for the side to move in `s`: { result: 'win' | 'loss' |
+// 'draw', plies } (plies to mate), or null if `s` isn't covered. The
+// first probe of an ending builds its tables, which can take minutes.
+export function probe(s){
+  if(!buildTables(s)) return null;
+  // En passant isn't in the tables: look one ply further instead
+  if(epCapturePossible(s)) return fromScore(Math.max(...genMoves(s).map(m => moveScore(s, m))));
+  const { pieces, squares } = piecesOf(s);
+  const where = locate(pieces);
+  if(where.draw) return { result: 'draw', plies: 0 };
+  const { order, flip } = where, T = tables.get(where.sig);
+  const side = (s.turn === 'w' ? 0 : 1) ^ (flip ? 1 : 0);
+  const v = T.val[tableIndex(T, order.map(k => flip ? squares[k] ^ 56 : squares[k]), side)];
+  return !v ? { result: 'draw', plies: 0 } : { result: (v - 1) % 2 ? 'win' : 'loss', plies: v - 1 };
+}
+
+function epCapturePossible(s){
+  if(s.ep < 0) return false;
+  const f = s.ep & 7, from = s.ep + (s.turn === 'w' ? -8 : 8), pawn = s.turn + 'P';
+  return (f > 0 && s.board[from - 1] === pawn) || (f < 7 && s.board[from + 1] === pawn);
+}
+
+// Results as search scores (mates like the engine's: MATE - plies) and back
+function toScore(r){
+  return r.result === 'win' ? MATE - r.plies : r.result === 'loss' ? -(MATE - r.plies) : 0;
+}
+function fromScore(score){
+  if(!score) return { result: 'draw', plies: 0 };
+  return { result: score > 0 ? 'win' : 'loss', plies: MATE - Math.abs(score) };
+}
+// Score of playing m in s, one ply further from the mate than the reply
+function moveScore(s, m){
+  const score = -toScore(probe(makeMove(s, m)));
+  return score - Math.sign(score);
+}
+
+// The table's choice in `s`: the quickest mate, else a drawing move,
+// else the longest resistance. Returns { move, result, plies, score,
+// equal } (equal: every move as good as `move`), or null.
+export function tablebaseMove(s){
+  if(!probe(s)) return null;
+  let best = -Infinity, equal = [];
+  for(const m of genMoves(s)){
+    const score = moveScore(s, m);
+    if(score > best){ best = score; equal = [m]; }
+    else if(score === best) equal.push(m);
+  }
+  if(!equal.length) return null; // mated or stalemated already
+  return { move: equal[0], ...fromScore(best), score: best, equal };
+}
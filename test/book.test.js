@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { startPosition, fromFEN, genMoves, makeMove, moveToCoord } from '../engine.js';
+import { polyglotKey, readBook, bookMoves, pickBookMove, indexOpenings, openingName } from '../book.js';
+
+const play = (s, line) => line.split(' ').filter(Boolean)
+  .reduce((s, c) => makeMove(s, genMoves(s).find(m => moveToCoord(m) === c)), s);
+
+// Keys published with the Polyglot book format
+const KEYS = [
+  ['', '463b96181691fc9c'],
+  ['e2e4', '823c9b50fd114196'],
+  ['e2e4 d7d5', '0756b94461c50fb0'],
+  ['e2e4 d7d5 e4e5', '662fafb965db29d4'],
+  ['e2e4 d7d5 e4e5 f7f5', '22a48b5a8e47ff78'],
+  ['e2e4 d7d5 e4e5 f7f5 e1e2', '652a607ca3f242c1'],
+  ['e2e4 d7d5 e4e5 f7f5 e1e2 e8f7', '00fdd303c946bdd9'],
+  ['a2a4 b7b5 h2h4 b5b4 c2c4', '3c8123ea7b067637'],
+  // The format description lists this last move as a1a2, but its FEN and
+  // key have the rook on a3
+  ['a2a4 b7b5 h2h4 b5b4 c2c4 b4c3 a1a3', '5c3f9b829b279560']
+];
+
+test('polyglotKey matches the published keys', () => {
+  for(const [line, key] of KEYS) assert.equal(polyglotKey(play(startPosition(), line)).toString(16).padStart(16, '0'), key, line);
+});
+
+// Build a book from [position, coordinate move, weight] entries
+function makeBook(entries){
+  const rows = entries.map(([s, coord, weight]) => {
+    const sq = a => (a.charCodeAt(0) - 97) + 8 * (a.charCodeAt(1) - 49);
+    const promo = ' nbrq'.indexOf(coord[4] || ' ');
+    return { key: polyglotKey(s), move: sq(coord.slice(2, 4)) | sq(coord.slice(0, 2)) << 6 | promo << 12, weight };
+  }).sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  const view = new DataView(new ArrayBuffer(rows.length * 16));
+  rows.forEach((r, n) => {
+    view.setBigUint64(n * 16, r.key);
+    view.setUint16(n * 16 + 8, r.move);
+    view.setUint16(n * 16 + 10, r.weight);
+  });
+  return new Uint8Array(view.buffer);
+}
+
+test('bookMoves reads a book, heaviest first, with castling as king-takes-rook', () => {
+  const start = startPosition();
+  const castle = fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+  const book = readBook(makeBook([
+    [start, 'e2e4', 10], [start, 'd2d4', 30], [start, 'g1f3', 0],
+    [castle, 'e1h1', 5], [castle, 'e1a1', 5]
+  ]));
+  assert.deepEqual(bookMoves(book, start).map(e => [moveToCoord(e.move), e.weight]), [['d2d4', 30], ['e2e4', 10]]);
+  assert.deepEqual(bookMoves(book, castle).map(e => e.move.flags.castle).sort(), ['K', 'Q']);
+  assert.deepEqual(bookMoves(book, play(start, 'e2e4')), []);
+  assert.throws(() => readBook(new Uint8Array(15)), /multiple of 16/);
+});
+
+test('pickBookMove chooses by weight', () => {
+  const entries = [{ move: 'a', weight: 30 }, { move: 'b', weight: 10 }];
+  assert.equal(pickBookMove(entries, () => 0), 'a');
+  assert.equal(pickBookMove(entries, () => 0.74), 'a');
+  assert.equal(pickBookMove(entries, () => 0.76), 'b');
+});
+
+test('openingName finds the latest named position, through transpositions', () => {
+  const index = indexOpenings(JSON.parse(readFileSync(new URL('../eco.json', import.meta.url), 'utf8')));
+  const positions = line => line.split(' ').reduce((ps, c) => [...ps, play(ps.at(-1), c)], [startPosition()]);
+  assert.equal(openingName(index, positions('e2e4 e7e5 g1f3 b8c6 f1b5 a7a6')).name, 'Ruy Lopez');
+  assert.equal(openingName(index, positions('g1f3 b8c6 e2e4 e7e5 f1c4')).name, 'Italian Game');
+  assert.equal(openingName(index, [startPosition()]), null);
+});
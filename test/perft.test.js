@@ -0,0 +1,75 @@
+// Perft: node counts of the legal move tree for the standard test
+// positions (https://www.chessprogramming.org/Perft_Results).
+// Depths past `quick` only run with PERFT_FULL=1, as they take minutes.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { perft } from '../engine.js';
+
+const FULL = !!process.env.PERFT_FULL;
+
+const POSITIONS = [
+  {
+    name: 'initial position',
+    fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    counts: [20, 400, 8902, 197281, 4865609],
+    quick: 4
+  },
+  {
+    name: 'Kiwipete (position 2)',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    counts: [48, 2039, 97862, 4085603],
+    quick: 3
+  },
+  {
+    name: 'position 3',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    counts: [14, 191, 2812, 43238, 674624],
+    quick: 4
+  },
+  {
+    name: 'position 4',
+    fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    counts: [6, 264, 9467, 422333],
+    quick: 3
+  },
+  {
+    name: 'position 4 (mirrored)',
+    fen: 'r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1',
+    counts: [6, 264, 9467, 422333],
+    quick: 3
+  },
+  {
+    name: 'position 5',
+    fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    counts: [44, 1486, 62379, 2103487],
+    quick: 3
+  },
+  {
+    name: 'position 6',
+    fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+    counts: [46, 2079, 89890, 3894594],
+    quick: 3
+  },
+  // Chess960 (https://www.chessprogramming.org/Chess960_Perft_Results)
+  {
+    name: 'Chess960 position 1',
+    fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+    counts: [21, 528, 12189, 326672],
+    quick: 3
+  },
+  {
+    name: 'Chess960 position 2',
+    fen: '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9',
+    counts: [21, 807, 18002, 667366],
+    quick: 3
+  }
+];
+
+for(const { name, fen, counts, quick } of POSITIONS){
+  test(`perft: ${name}`, () => {
+    const depth = FULL ? counts.length : quick;
+    for(let d=1; d<=depth; d++){
+      assert.equal(perft(fen, d), counts[d-1], `depth ${d}`);
+    }
+  });
+}
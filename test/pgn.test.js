@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromFEN, genMoves, moveToCoord, moveToSAN, sanToMove, toPGN, fromPGN } from '../engine.js';
+
+// SAN for the move given in coordinates (e2e4, e7e8q) in the FEN position
+function san(fen, coord){
+  const s = fromFEN(fen);
+  return moveToSAN(s, genMoves(s).find(m => moveToCoord(m) === coord));
+}
+
+test('moveToSAN disambiguates by file, then by rank', () => {
+  assert.equal(san('1n2k3/8/5n2/8/8/8/8/4K3 b - - 0 1', 'b8d7'), 'Nbd7');
+  assert.equal(san('7k/8/8/8/8/4R3/8/4R1K1 w - - 0 1', 'e1e2'), 'R1e2');
+  assert.equal(san('4k3/8/8/8/8/8/6K1/R6R w - - 0 1', 'a1d1'), 'Rad1');
+  assert.equal(san('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', 'a1d1'), 'Rd1');
+});
+
+test('moveToSAN writes promotions, checks and mates', () => {
+  assert.equal(san('8/4P3/8/8/8/8/k7/4K3 w - - 0 1', 'e7e8q'), 'e8=Q');
+  assert.equal(san('3r4/4P3/8/8/8/8/k7/4K3 w - - 0 1', 'e7d8n'), 'exd8=N');
+  assert.equal(san('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', 'a1a8'), 'Ra8+');
+  assert.equal(san('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1', 'a1a8'), 'Ra8#');
+  assert.equal(san('4k3/8/8/8/8/8/8/R3K2R w KQ - 0 1', 'e1g1'), 'O-O');
+  const s = fromFEN('8/4P3/8/8/8/8/k7/4K3 w - - 0 1');
+  assert.equal(sanToMove(s, 'e8=N').flags.promo, 'N');
+});
+
+test('fromPGN reads tags and skips comments, NAGs and variations', () => {
+  const { tags, game } = fromPGN(`[Event "Club \\"Open\\""]
+[White "Anderssen"]
+[Black "Kieseritzky"]
+[Result "1-0"]
+
+1. e4 {King's pawn} e5 2. f4 $1 (2. Nf3 Nc6) exf4 3. Bc4 Qh4+ 1-0`);
+  assert.equal(tags.Event, 'Club "Open"');
+  assert.equal(tags.White, 'Anderssen');
+  assert.equal(tags.Result, '1-0');
+  assert.deepEqual(game.san, ['e4', 'e5', 'f4', 'exf4', 'Bc4', 'Qh4+']);
+  assert.equal(game.ply, 6);
+  assert.equal(game.positions.length, 7);
+});
+
+test('fromPGN names the move number of an illegal move', () => {
+  assert.throws(() => fromPGN('1. e4 e5 2. Ke3'), /^Error: move 2\. illegal move Ke3$/);
+  assert.throws(() => fromPGN('1. e4 Ke7'), /^Error: move 1\.\.\. illegal move Ke7$/);
+});
+
+test('toPGN round-trips through fromPGN with the Seven Tag Roster', () => {
+  const { game } = fromPGN('1. f3 e5 2. g4 Qh4#');
+  const pgn = toPGN(game, { White: 'Fool', Date: '2024.01.01' });
+  assert.match(pgn, /^\[Event "\?"\]\n\[Site "\?"\]\n\[Date "2024\.01\.01"\]\n\[Round "\?"\]\n\[White "Fool"\]\n\[Black "\?"\]\n\[Result "0-1"\]\n\n/);
+  assert.ok(pgn.endsWith('1. f3 e5 2. g4 Qh4# 0-1\n'));
+  assert.ok(!pgn.includes('FEN'));
+  const again = fromPGN(pgn);
+  assert.deepEqual(again.game.san, game.san);
+  assert.equal(again.tags.White, 'Fool');
+  // Games set up from a position carry it, and Black to move starts with "1..."
+  const { game: setUp } = fromPGN('[FEN "4k3/8/8/8/8/8/8/R3K3 b - - 0 1"]\n\n1... Kd7 2. Ra7+');
+  const out = toPGN(setUp);
+  assert.match(out, /\[SetUp "1"\]\n\[FEN "4k3\/8\/8\/8\/8\/8\/8\/R3K3 b - - 0 1"\]/);
+  assert.ok(out.endsWith('1... Kd7 2. Ra7+ *\n'));
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { MATE, fromFEN, genMoves, makeMove, inCheck, searchBest, moveToCoord, parsePuzzles, solvesPuzzle, puzzleRating } from '../engine.js';
+
+test('the bundled puzzle set loads and every solution is legal', () => {
+  const set = parsePuzzles(readFileSync(new URL('../puzzles.json', import.meta.url), 'utf8'));
+  assert.ok(set.length >= 10);
+  assert.equal(new Set(set.map(p => p.id)).size, set.length);
+  for(const p of set) assert.equal(p.moves.length % 2, 1, p.id); // ends on the solver's move
+});
+
+// A mateInN puzzle is a forced mate in exactly N: no quicker mate, and
+// every reply in the line is a longest defence
+test('every mateInN solution is a forced mate in N', () => {
+  const set = parsePuzzles(readFileSync(new URL('../puzzles.json', import.meta.url), 'utf8'));
+  for(const p of set){
+    const n = +p.themes.map(t => /^mateIn(\d)$/.exec(t)?.[1]).find(Boolean);
+    if(!n) continue;
+    let s = fromFEN(p.fen);
+    p.moves.forEach((c, k) => {
+      const left = 2 * n - 1 - k; // plies to mate, this one included
+      assert.equal(searchBest(s, left).score, (k % 2 ? -1 : 1) * (MATE - left), `${p.id} move ${k + 1}`);
+      s = makeMove(s, genMoves(s).find(m => moveToCoord(m) === c));
+    });
+    assert.ok(inCheck(s) && !genMoves(s).length, `${p.id} ends in mate`);
+  }
+});
+
+test('parsePuzzles reads CSV and reports bad solutions', () => {
+  const [p] = parsePuzzles('id,fen,moves,rating,themes\nx1,6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1,a1a8,600,mateIn1 backRankMate\n');
+  assert.deepEqual(p, { id: 'x1', fen: '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1', moves: ['a1a8'], rating: 600, themes: ['mateIn1', 'backRankMate'] });
+  assert.throws(() => parsePuzzles('[{"id":"x2","fen":"6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1","moves":"a1a9"}]'), /x2: illegal move a1a9/);
+});
+
+test('solvesPuzzle accepts the listed move, or any mate on the last step', () => {
+  const p = { moves: ['a1a8'] };
+  const s = fromFEN('6k1/5ppp/8/8/8/8/8/RR4K1 w - - 0 1');
+  const move = c => genMoves(s).find(m => moveToCoord(m) === c);
+  assert.ok(solvesPuzzle(p, 0, s, move('a1a8')));
+  assert.ok(solvesPuzzle(p, 0, s, move('b1b8'))); // mates as well
+  assert.ok(!solvesPuzzle(p, 0, s, move('a1a7')));
+  assert.ok(!solvesPuzzle({ moves: ['a1a8', 'g8h8', 'b1b8'] }, 0, s, move('b1b8')));
+});
+
+test('puzzleRating moves by the Elo expectation', () => {
+  assert.equal(puzzleRating(1500, 1500, true), 1516);
+  assert.equal(puzzleRating(1500, 1500, false), 1484);
+  assert.ok(puzzleRating(1500, 900, true) < 1504); // an easy solve earns little
+  assert.ok(puzzleRating(1500, 900, false) < 1474); // and failing one costs a lot
+});
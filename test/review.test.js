@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromFEN, makeMove, sanToMove, lineToSAN, judgeMove, MATE } from '../engine.js';
+
+test('judgeMove grades the evaluation drop from the mover\'s side', () => {
+  assert.equal(judgeMove(20, 0, 'w'), null);
+  assert.equal(judgeMove(20, -60, 'w'), 'inaccuracy');
+  assert.equal(judgeMove(20, -200, 'w'), 'mistake');
+  assert.equal(judgeMove(20, -400, 'w'), 'blunder');
+  assert.equal(judgeMove(-20, 400, 'b'), 'blunder');
+  assert.equal(judgeMove(-20, -400, 'b'), null); // Black improving is fine
+});
+
+test('judgeMove treats mate scores as a capped lead', () => {
+  assert.equal(judgeMove(MATE - 3, MATE - 5, 'w'), null); // still mating
+  assert.equal(judgeMove(MATE - 3, 0, 'w'), 'blunder'); // threw the mate away
+});
+
+test('lineToSAN writes a line of moves in SAN', () => {
+  const start = fromFEN('r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3');
+  const moves = [];
+  let s = start;
+  for(const san of ['Bb5', 'Nf6', 'O-O', 'Nxe4']){
+    moves.push(sanToMove(s, san));
+    s = makeMove(s, moves[moves.length - 1]);
+  }
+  assert.deepEqual(lineToSAN(start, moves), ['Bb5', 'Nf6', 'O-O', 'Nxe4']);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromFEN, toFEN, genMoves, makeMove, moveToCoord, startPosition, positionProblems, epSquares, idxToAlg, parseFEN,
+  chess960Position, moveToSAN, movesTo, algToIdx, drawReason, outcome, positionKey } from '../engine.js';
+
+test('makeMove leaves the position it was given untouched', () => {
+  const fen = 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1';
+  const s = fromFEN(fen);
+  for(const m of genMoves(s)) makeMove(s, m);
+  assert.equal(toFEN(s), fen);
+});
+
+test('no castling when the rook is missing from its home square', () => {
+  const s = fromFEN('4k3/8/8/8/8/8/8/R3K3 w Q - 0 1');
+  s.castling.wK = true; // fromFEN would already drop this right
+  const castles = genMoves(s).filter(m => m.flags.castle).map(moveToCoord);
+  assert.deepEqual(castles, ['e1c1']);
+});
+
+// Play coordinate moves from `s`, returning every position along the way
+function playLine(s, coords){
+  const positions = [s];
+  for(const c of coords){
+    s = makeMove(s, genMoves(s).find(m => moveToCoord(m) === c));
+    positions.push(s);
+  }
+  return positions;
+}
+
+test('threefold repetition counts only positions since the last capture or pawn move', () => {
+  const shuffle = ['g1f3', 'g8f6', 'f3g1', 'f6g8'];
+  const positions = playLine(fromFEN('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'), [...shuffle, ...shuffle]);
+  assert.equal(outcome(positions.slice(0, -1)), null);
+  assert.deepEqual(outcome(positions), { result: '1/2-1/2', reason: 'threefold repetition' });
+  // The same position three times, but the clock says only one of the
+  // earlier two could have been since the last irreversible move
+  const s = fromFEN('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 1 1');
+  assert.equal(drawReason(s, [positionKey(s), positionKey(s)]), 'threefold repetition');
+  assert.equal(outcome([s, s, s]), null);
+});
+
+test('the fifty-move rule draws at halfmove 100 unless the last move mated', () => {
+  assert.equal(drawReason(fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 99 80')), null);
+  assert.equal(drawReason(fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 100 80')), 'fifty-move rule');
+  const mated = fromFEN('R5k1/5ppp/8/8/8/8/8/6K1 b - - 100 80');
+  assert.equal(drawReason(mated), 'fifty-move rule');
+  assert.deepEqual(outcome([mated]), { result: '1-0', reason: 'checkmate' });
+});
+
+test('insufficient material: a lone minor piece, or bishops all on one colour', () => {
+  assert.equal(drawReason(fromFEN('4k3/8/8/8/8/8/8/1N2K3 w - - 0 1')), 'insufficient material');
+  assert.equal(drawReason(fromFEN('4k3/8/8/8/8/8/8/1NN1K3 w - - 0 1')), null);
+  // c1 and f8 are both dark squares, c8 is light
+  assert.deepEqual(outcome([fromFEN('4kb2/8/8/8/8/8/8/2B1K3 w - - 0 1')]), { result: '1/2-1/2', reason: 'insufficient material' });
+  assert.equal(outcome([fromFEN('2b1k3/8/8/8/8/8/8/2B1K3 w - - 0 1')]), null);
+});
+
+test('positionProblems accepts legal positions', () => {
+  assert.deepEqual(positionProblems(startPosition()), []);
+  assert.deepEqual(positionProblems(fromFEN('rnbqkbnr/ppp1pppp/8/3pP3/8/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 3')), []);
+});
+
+test('positionProblems reports kings, back-rank pawns, check, castling and en passant', () => {
+  // fromFEN rejects all of these, so the faults are made by hand
+  const lone = fromFEN('k7/8/8/8/8/8/8/4K3 w - - 0 1');
+  const edit = (f) => { const s = fromFEN(toFEN(lone)); f(s); return positionProblems(s); };
+  assert.deepEqual(edit(s => s.board[56] = null), ['Black must have exactly one king (has 0)']);
+  assert.deepEqual(edit(s => s.board[63] = 'wP'), ["Pawns can't stand on the first or last rank (h8)"]);
+  assert.deepEqual(edit(s => s.board[0] = 'wR'), ["Black is in check but it is White's move"]);
+  assert.equal(edit(s => s.castling.wK = true).length, 1);
+  assert.equal(edit(s => s.ep = 44).length, 1); // e6
+});
+
+test('epSquares lists squares behind a pawn that just double-stepped', () => {
+  const s = fromFEN('4k3/8/8/2pP4/8/8/8/4K3 w - - 0 1');
+  assert.deepEqual(epSquares(s).map(idxToAlg), ['c6']);
+});
+
+test('fromFEN rejects malformed FEN and reports each problem with its place', () => {
+  const { errors } = parseFEN('rnbqkbnr/ppppXppp/9/8/8/8/PPPPPPPP/RNBQKBNR x KQkq e9 0 0');
+  assert.deepEqual(errors.map(e => [e.field, e.at]), [
+    ['placement', 13], ['placement', 18],
+    ['side to move', 44], ['en passant', 51], ['fullmove number', 56]
+  ]);
+  assert.throws(() => fromFEN('8/8/8/8/8/8/8/8 w - - 0 1'), /exactly one king/);
+});
+
+test('parseFEN drops impossible castling and en passant with a note', () => {
+  const { state, fixes } = parseFEN('4k3/8/8/8/8/8/8/4K2R w KQk e6 0 1');
+  assert.equal(toFEN(state), '4k3/8/8/8/8/8/8/4K2R w K - 0 1');
+  assert.equal(fixes.length, 3);
+});
+
+test('parseFEN reads Shredder-FEN and X-FEN castling', () => {
+  const std = 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1';
+  assert.equal(toFEN(fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w HAha - 0 1')), std);
+  assert.equal(toFEN(fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KAkq - 0 1')), std);
+});
+
+test('Chess960 positions follow Scharnagl numbering and round-trip through FEN', () => {
+  assert.equal(toFEN(chess960Position(518)), toFEN(startPosition()));
+  assert.equal(toFEN(chess960Position(0)), 'bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRKR w KQkq - 0 1');
+  for(const n of [0, 17, 300, 959]){
+    const s = chess960Position(n);
+    const back = fromFEN(toFEN(s));
+    assert.equal(back.chess960, true);
+    assert.deepEqual(back.rookFiles, s.rookFiles);
+  }
+});
+
+test('Chess960 castling is king-takes-rook and lands on the standard squares', () => {
+  // King b1, rooks a1 and h1: O-O-O moves the king to c1 and the rook to d1
+  const s = fromFEN('4k2r/8/8/8/8/8/8/RK5R w HAh - 0 1');
+  const ooo = genMoves(s).find(m => m.flags.castle === 'Q');
+  assert.equal(moveToCoord(ooo), 'b1a1');
+  assert.equal(moveToSAN(s, ooo), 'O-O-O');
+  assert.equal(toFEN(makeMove(s, ooo)), '4k2r/8/8/8/8/8/8/2KR3R b k - 1 1');
+});
+
+test('movesTo finds Chess960 castling by the rook or the king landing square', () => {
+  // King b1, rooks a1 and h1: O-O lands on g1; c1 is also a plain king move
+  const s = fromFEN('4k2r/8/8/8/8/8/8/RK5R w HAh - 0 1');
+  const king = genMoves(s).filter(m => m.from === 1);
+  assert.deepEqual(movesTo(s, king, algToIdx('g1')).map(m => m.flags.castle), ['K']);
+  assert.deepEqual(movesTo(s, king, algToIdx('h1')).map(m => m.flags.castle), ['K']);
+  assert.deepEqual(movesTo(s, king, algToIdx('a1')).map(m => m.flags.castle), ['Q']);
+  assert.deepEqual(movesTo(s, king, algToIdx('c1')).map(moveToCoord), ['b1c1']);
+  assert.deepEqual(movesTo(s, king, algToIdx('e1')), []);
+  // Standard chess castles onto the king's square only
+  const std = fromFEN('4k3/8/8/8/8/8/8/R3K2R w KQ - 0 1');
+  const stdKing = genMoves(std).filter(m => m.from === 4);
+  assert.deepEqual(movesTo(std, stdKing, algToIdx('g1')).map(m => m.flags.castle), ['K']);
+  assert.deepEqual(movesTo(std, stdKing, algToIdx('h1')), []);
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromFEN, searchLines, moveToCoord } from '../engine.js';
+
+test('searchLines returns the requested number of lines, best first', () => {
+  const s = fromFEN('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+  const r = searchLines(s, 3, 3);
+  assert.equal(r.lines.length, 3);
+  assert.equal(moveToCoord(r.lines[0].move), 'a1a8');
+  assert.ok(r.lines[0].score > r.lines[1].score);
+  assert.ok(r.lines[1].score >= r.lines[2].score);
+  for(const l of r.lines) assert.equal(l.pv[0], l.move);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromFEN, genMoves, moveToCoord, SKILL_LEVELS, skillLevel, levelForRating, pickSkillMove, searchSkill, eloRating } from '../engine.js';
+
+test('skill levels get stronger and steadier up to plain search', () => {
+  assert.equal(SKILL_LEVELS.length, 20);
+  for(let n = 2; n <= 20; n++){
+    assert.ok(skillLevel(n).elo > skillLevel(n - 1).elo, `elo ${n}`);
+    assert.ok(skillLevel(n).depth >= skillLevel(n - 1).depth, `depth ${n}`);
+    assert.ok(skillLevel(n).temperature < skillLevel(n - 1).temperature, `temperature ${n}`);
+  }
+  assert.equal(skillLevel(20).temperature, 0);
+  assert.equal(skillLevel(99), skillLevel(20));
+  assert.equal(levelForRating(0), 1);
+  assert.equal(levelForRating(960), 8);
+  assert.equal(levelForRating(3000), 20);
+});
+
+test('pickSkillMove weighs moves by how much they lose', () => {
+  const lines = [{ move: 'a', score: 50 }, { move: 'b', score: 0 }, { move: 'c', score: -900 }];
+  assert.equal(pickSkillMove(lines, 0, () => 0.99).move, 'a');
+  // At 50 centipawns the weights are 1, e^-1 and e^-19
+  assert.equal(pickSkillMove(lines, 50, () => 0.7).move, 'a');
+  assert.equal(pickSkillMove(lines, 50, () => 0.8).move, 'b');
+  assert.equal(pickSkillMove(lines, 50, () => 0.9999999).move, 'b');
+});
+
+test('low levels vary their moves, the top level takes the rook', () => {
+  // Bxe5 wins Black's rook
+  const s = fromFEN('4k3/8/8/4r3/8/2B5/3N4/4K3 w - - 0 1');
+  const moves = new Set();
+  for(const r of [0.1, 0.5, 0.9, 0.99, 0.999]) moves.add(moveToCoord(searchSkill(s, 1, Infinity, [], () => r).move));
+  assert.ok(moves.size > 1);
+  assert.equal(moveToCoord(searchSkill(s, 20, 2000).move), 'c3e5');
+});
+
+test('searchSkill only picks from rootMoves when given', () => {
+  const s = fromFEN('4k3/8/8/4r3/8/2B5/3N4/4K3 w - - 0 1');
+  const knight = genMoves(s).filter(m => m.from === 11); // Nd2 only, not Bxe5
+  for(const level of [1, 12, 20]){
+    for(const r of [0.1, 0.9]){
+      const pick = searchSkill(s, level, 2000, [], () => r, knight);
+      assert.ok(knight.includes(pick.move), `level ${level}`);
+      assert.equal(pick.pv[0], pick.move);
+    }
+  }
+});
+
+test('eloRating scores draws as half a point', () => {
+  assert.equal(eloRating(800, 800, 0.5), 800);
+  assert.equal(eloRating(800, 800, 1, 48), 824);
+  assert.equal(eloRating(800, 800, 0, 48), 776);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromFEN, makeMove } from '../engine.js';
+import { buildTables, probe, tablebaseMove } from '../tablebase.js';
+
+test('probe gives distance to mate for the side to move', () => {
+  assert.deepEqual(probe(fromFEN('k7/8/1K6/8/8/8/7Q/8 w - - 0 1')), { result: 'win', plies: 1 });
+  assert.deepEqual(probe(fromFEN('k6Q/8/1K6/8/8/8/8/8 b - - 0 1')), { result: 'loss', plies: 0 }); // mated
+  assert.deepEqual(probe(fromFEN('4k3/8/4K3/4P3/8/8/8/8 w - - 0 1')), { result: 'win', plies: 21 });
+  assert.equal(probe(fromFEN('k7/8/8/8/8/8/P7/K7 w - - 0 1')).result, 'draw'); // rook pawn, king in front
+  assert.equal(probe(fromFEN('8/8/8/8/8/2k5/8/KB6 w - - 0 1')).result, 'draw');
+});
+
+test('probe leaves out positions the tables do not cover', () => {
+  assert.equal(probe(fromFEN('r3k3/8/8/8/8/8/8/4K3 b q - 0 1')), null); // castling rights
+  assert.equal(probe(fromFEN('4k3/8/8/8/8/8/PP6/4K1N1 w - - 0 1')), null); // five men
+  assert.equal(buildTables(fromFEN('4k3/8/8/8/8/8/PP6/4K1N1 w - - 0 1')), null);
+});
+
+test('the longest king and rook mate takes 16 moves', () => {
+  let longest = 0;
+  const board = Array(64).fill(null);
+  const castling = { wK: false, wQ: false, bK: false, bQ: false };
+  for(let wk = 0; wk < 64; wk++) for(let bk = 0; bk < 64; bk++) for(let r = 0; r < 64; r++){
+    if(Math.abs((wk & 7) - (bk & 7)) < 2 && Math.abs((wk >> 3) - (bk >> 3)) < 2 || r === wk || r === bk) continue;
+    board.fill(null);
+    board[wk] = 'wK'; board[bk] = 'bK'; board[r] = 'wR';
+    const res = probe({ board, turn: 'w', castling, ep: -1 });
+    if(res.result === 'win') longest = Math.max(longest, res.plies);
+  }
+  assert.equal((longest + 1) / 2, 16);
+});
+
+test('tablebaseMove mates fastest and resists longest', () => {
+  const win = fromFEN('8/8/8/3k4/8/8/8/KR6 w - - 0 1');
+  const best = tablebaseMove(win);
+  assert.equal(best.result, 'win');
+  assert.deepEqual(probe(makeMove(win, best.move)), { result: 'loss', plies: best.plies - 1 });
+  const mateIn1 = fromFEN('k7/8/1K6/8/8/8/7Q/8 w - - 0 1');
+  assert.deepEqual(probe(makeMove(mateIn1, tablebaseMove(mateIn1).move)), { result: 'loss', plies: 0 });
+
+  const loss = fromFEN('8/8/8/3k4/8/8/8/KR6 b - - 0 1');
+  const reply = tablebaseMove(loss);
+  assert.equal(reply.result, 'loss');
+  assert.deepEqual(probe(makeMove(loss, reply.move)), { result: 'win', plies: probe(loss).plies - 1 });
+});
+
+// The longest queen against rook win is mate in 35. The table is built
+// a slice at a time, then followed move by move to the mate.
+test('queen against rook: mate in 35, built in slices', () => {
+  let s = fromFEN('8/8/8/8/2r5/8/2k5/K6Q w - - 0 1');
+  assert.equal(buildTables(s, Date.now() + 20), false);
+  let slices = 1;
+  while(!buildTables(s, Date.now() + 500)) slices++;
+  assert.ok(slices > 1);
+  assert.deepEqual(probe(s), { result: 'win', plies: 69 });
+  for(let plies = 69; plies > 0; plies--){
+    s = makeMove(s, tablebaseMove(s).move);
+    assert.deepEqual(probe(s), { result: plies % 2 ? 'loss' : 'win', plies: plies - 1 });
+  }
+  assert.equal(tablebaseMove(s), null); // mated
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import {
+  DEFAULT_BOARD, DEFAULT_PIECES, boardTheme, boardThemes, pieceImage, pieceSets,
+  registerBoardTheme, registerPieceSet, registerThemes,
+} from '../themes.js';
+
+const PIECES = ['K', 'Q', 'R', 'B', 'N', 'P'].flatMap(t => ['w' + t, 'b' + t]);
+
+test('every bundled piece set has all twelve images', () => {
+  for(const { id, path } of pieceSets()){
+    if(!path) continue; // glyphs
+    for(const p of PIECES){
+      const file = new URL('../' + pieceImage(id, p), import.meta.url);
+      assert.ok(existsSync(file), `${id}: ${p}`);
+    }
+  }
+});
+
+test('unknown ids fall back to the defaults', () => {
+  assert.equal(boardTheme('nope').id, DEFAULT_BOARD);
+  assert.equal(pieceImage('nope', 'wK'), `pieces/${DEFAULT_PIECES}/wK.svg`);
+  assert.equal(pieceImage('glyph', 'wK'), null);
+});
+
+test('themes can be registered and are checked', () => {
+  registerBoardTheme('test-ice', { name: 'Ice', light: '#e6f0f5', dark: 'rgb(126, 166, 189)' });
+  assert.deepEqual(boardTheme('test-ice'), { id: 'test-ice', name: 'Ice', light: '#e6f0f5', dark: 'rgb(126, 166, 189)' });
+  assert.throws(() => registerBoardTheme('bad', { light: '#fff' }), /must be CSS colours/);
+  assert.throws(() => registerBoardTheme('bad', { light: '#fff', dark: 'red;}body{' }), /must be CSS colours/);
+  assert.throws(() => registerPieceSet('bad', { path: 'pieces/bad/wK.svg' }), /must contain \{piece\}/);
+  assert.ok(!boardThemes().some(t => t.id === 'bad'));
+});
+
+test('registerThemes reads a themes.json object', () => {
+  const n = registerThemes({
+    boards: { 'test-sand': { name: 'Sand', light: 'wheat', dark: 'peru' } },
+    pieces: { 'test-mine': { name: 'Mine', path: 'pieces/mine/{piece}.png' } },
+  });
+  assert.equal(n, 2);
+  assert.equal(boardTheme('test-sand').dark, 'peru');
+  assert.equal(pieceImage('test-mine', 'bN'), 'pieces/mine/bN.png');
+  assert.equal(registerThemes({}), 0);
+  assert.throws(() => registerThemes({ boards: { x: {} } }), /Board theme x/);
+});
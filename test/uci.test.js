@@ -0,0 +1,105 @@
+// Drives uci.js as a child process, the way a chess GUI would
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const UCI = fileURLToPath(new URL('../uci.js', import.meta.url));
+
+// Start the engine; `until(re)` resolves with the first output line
+// matching `re` that arrives after the call
+function engine(){
+  const child = spawn(process.execPath, [UCI]);
+  let buffer = '', waiting = null;
+  child.stdout.on('data', chunk => {
+    buffer += chunk;
+    let nl;
+    while((nl = buffer.indexOf('\n')) >= 0){
+      const line = buffer.slice(0, nl);
+      buffer = buffer.slice(nl + 1);
+      if(waiting && waiting.re.test(line)){ waiting.resolve(line); waiting = null; }
+    }
+  });
+  return {
+    send: line => child.stdin.write(line + '\n'),
+    until: re => new Promise(resolve => { waiting = { re, resolve }; }),
+    quit: () => child.stdin.end()
+  };
+}
+
+test('uci handshake and isready', async () => {
+  const e = engine();
+  const ok = e.until(/^uciok$/);
+  e.send('uci');
+  await ok;
+  const ready = e.until(/^readyok$/);
+  e.send('isready');
+  await ready;
+  e.quit();
+});
+
+test('go depth finds a mate in one from a FEN', async () => {
+  const e = engine();
+  const best = e.until(/^bestmove /);
+  e.send('position fen 6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+  e.send('go depth 3');
+  assert.equal(await best, 'bestmove a1a8');
+  e.quit();
+});
+
+test('position startpos moves, then go infinite answers on stop', async () => {
+  const e = engine();
+  const info = e.until(/^info depth 1 /);
+  e.send('position startpos moves e2e4 e7e5 g1f3');
+  e.send('go infinite');
+  assert.match(await info, /score cp -?\d+ .* pv \w+/);
+  const best = e.until(/^bestmove /);
+  e.send('stop');
+  assert.match(await best, /^bestmove [a-h][1-8][a-h][1-8]$/);
+  e.quit();
+});
+
+test('go searchmoves reads moves up to the next option', { timeout: 20000 }, async () => {
+  const e = engine();
+  const best = e.until(/^bestmove /);
+  e.send('position fen 6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+  e.send('go searchmoves g1f1 g1g2 movetime 300'); // a1a8 would mate
+  assert.match(await best, /^bestmove g1(f1|g2)$/);
+  e.quit();
+});
+
+test('go ponder waits for ponderhit, then keeps to the clock', { timeout: 20000 }, async () => {
+  const e = engine();
+  const best = e.until(/^bestmove /);
+  e.send('position startpos moves e2e4');
+  e.send('go ponder wtime 3000 btime 3000');
+  const early = await Promise.race([best, new Promise(resolve => setTimeout(resolve, 500, null))]);
+  assert.equal(early, null);
+  e.send('ponderhit');
+  assert.match(await best, /^bestmove [a-h][1-8][a-h][1-8]$/);
+  e.quit();
+});
+
+test('go nodes and go mate finish without stop', { timeout: 20000 }, async () => {
+  const e = engine();
+  let best = e.until(/^bestmove /);
+  e.send('position startpos');
+  e.send('go nodes 1000');
+  assert.match(await best, /^bestmove [a-h][1-8][a-h][1-8]$/);
+  best = e.until(/^bestmove /);
+  e.send('position fen 6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+  e.send('go mate 1');
+  assert.equal(await best, 'bestmove a1a8');
+  e.quit();
+});
+
+test('a rejected position is not searched', { timeout: 20000 }, async () => {
+  const e = engine();
+  const bad = e.until(/^info string bad position/);
+  e.send('position fen 8/8/8/8 w - - 0 1');
+  await bad;
+  const best = e.until(/^bestmove /);
+  e.send('go depth 2');
+  assert.equal(await best, 'bestmove 0000');
+  e.quit();
+});
@@ -0,0 +1,73 @@
+/* =====================================================================
+   Vanilla JS Chess — board themes and piece sets
+   The themes and piece sets the page can pick from. The built-in ones
+   are registered here; more can be registered from code or listed in a
+   themes.json next to the page (see registerThemes). No DOM here:
+   chess.js applies the choice.
+
+     import { boardTheme, pieceImage, registerBoardTheme } from './themes.js';
+   ===================================================================== */
+
+const boards = new Map(); // id -> { id, name, light, dark }
+const sets = new Map();   // id -> { id, name, path } (no path: Unicode glyphs)
+
+export const DEFAULT_BOARD = 'brown';
+export const DEFAULT_PIECES = 'flat';
+
+// Hex colours, rgb()/hsl() and friends, or a colour keyword
+const COLOUR = /^(#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|(rgb|rgba|hsl|hsla|oklch|lab)\([^()]*\)|[a-z]+)$/i;
+
+// Add (or replace) a board theme: { name, light, dark } with the square
+// colours as CSS colours
+export function registerBoardTheme(id, theme){
+  const { name = id, light, dark } = theme || {};
+  if(!COLOUR.test(light ?? '') || !COLOUR.test(dark ?? '')){
+    throw new Error(`Board theme ${id}: light and dark must be CSS colours`);
+  }
+  boards.set(id, { id, name: String(name), light, dark });
+}
+
+// Add (or replace) a piece set: { name, path } where path is the image
+// URL with {piece} standing for the piece code (wK, bN, …), e.g.
+// "pieces/flat/{piece}.svg"
+export function registerPieceSet(id, set){
+  const { name = id, path } = set || {};
+  if(typeof path !== 'string' || !path.includes('{piece}')){
+    throw new Error(`Piece set ${id}: path must contain {piece}`);
+  }
+  sets.set(id, { id, name: String(name), path });
+}
+
+// Register everything in a themes.json object:
+//   { "boards": { id: { name, light, dark } }, "pieces": { id: { name, path } } }
+// Throws on the first bad entry; returns how many were registered
+export function registerThemes(json){
+  const { boards: b = {}, pieces: p = {} } = json || {};
+  for(const [id, theme] of Object.entries(b)) registerBoardTheme(id, theme);
+  for(const [id, set] of Object.entries(p)) registerPieceSet(id, set);
+  return Object.keys(b).length + Object.keys(p).length;
+}
+
+export const boardThemes = () => [...boards.values()];
+export const pieceSets = () => [...sets.values()];
+
+// The theme / set with this id, or the default one
+export const boardTheme = id => boards.get(id) ?? boards.get(DEFAULT_BOARD);
+export const pieceSet = id => sets.get(id) ?? sets.get(DEFAULT_PIECES);
+
+// Image URL for piece `p` ('wK', 'bN', …) in set `id`, or null when the
+// set draws Unicode glyphs
+export function pieceImage(id, p){
+  const { path } = pieceSet(id);
+  return path ? path.replaceAll('{piece}', p) : null;
+}
+
+/* ---- Built-ins ---- */
+registerBoardTheme('brown', { name: 'Brown', light: '#f0d9b5', dark: '#b58863' });
+registerBoardTheme('green', { name: 'Green', light: '#eeeed2', dark: '#769656' });
+registerBoardTheme('blue',  { name: 'Blue',  light: '#dee3e6', dark: '#8ca2ad' });
+registerBoardTheme('grey',  { name: 'Grey',  light: '#e0e0e0', dark: '#9a9a9a' });
+registerBoardTheme('purple', { name: 'Purple', light: '#e8e0f0', dark: '#9179b0' });
+registerPieceSet('flat', { name: 'Flat', path: 'pieces/flat/{piece}.svg' });
+registerPieceSet('wood', { name: 'Wood', path: 'pieces/wood/{piece}.svg' });
+sets.set('glyph', { id: 'glyph', name: 'Unicode glyphs', path: null });
@@ -0,0 +1,28 @@
+// Perft from the command line:
+//   node tools/perft.js <depth> [fen] [--divide]
+// Without a FEN the initial position is used. --divide prints the count
+// below each root move, to compare line by line with another engine.
+import { perft, perftDivide, toFEN, startPosition } from '../engine.js';
+
+const args = process.argv.slice(2);
+const divide = args.includes('--divide');
+const [depthArg, ...fenParts] = args.filter(a => a !== '--divide');
+const depth = parseInt(depthArg, 10);
+if(!(depth >= 1)){
+  console.error('usage: node tools/perft.js <depth> [fen] [--divide]');
+  process.exit(1);
+}
+const fen = fenParts.length ? fenParts.join(' ') : toFEN(startPosition());
+
+const start = Date.now();
+let nodes;
+if(divide){
+  const counts = perftDivide(fen, depth);
+  for(const [move, n] of Object.entries(counts)) console.log(`${move}: ${n}`);
+  nodes = Object.values(counts).reduce((a, b) => a + b, 0);
+  console.log();
+} else {
+  nodes = perft(fen, depth);
+}
+const ms = Date.now() - start;
+console.log(`nodes ${nodes}  time ${ms}ms  ${Math.round(nodes * 1000 / Math.max(1, ms))} n/s`);
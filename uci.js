@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/* =====================================================================
+   Vanilla JS Chess — UCI front end
+   Speaks the Universal Chess Interface on stdin/stdout so chess GUIs
+   and match runners can use the engine:  node uci.js
+   Supported: uci, isready, ucinewgame, position startpos|fen … [moves …],
+   go [depth N] [mate N] [movetime MS] [wtime/btime/winc/binc/movestogo]
+   [infinite] [ponder] [searchmoves m1 m2 …], ponderhit, stop, quit, and the
+   UCI_Chess960 option (castling as king-takes-rook). `go nodes N` isn't
+   supported: it gets an info string and a 1 s search instead.
+   The search runs in a worker thread (this same file), so `stop` and
+   `isready` are answered while it thinks.
+   ===================================================================== */
+import { isMainThread, parentPort, Worker } from 'node:worker_threads';
+import readline from 'node:readline';
+import {
+  MATE, MAX_PLY, startPosition, fromFEN, genMoves, makeMove,
+  moveToCoord, zobrist, searchBest, searchLines, thinkTime
+} from './engine.js';
+
+const MAX_DEPTH = 32;
+const NODES_TIME_MS = 1000; // `go nodes` has no node counter to stop on: think this long
+// Words that start a `go` option; searchmoves reads moves up to the next
+const GO_OPTIONS = ['searchmoves', 'ponder', 'wtime', 'btime', 'winc', 'binc', 'movestogo',
+  'depth', 'nodes', 'mate', 'movetime', 'infinite'];
+
+/* ----------------------------
+   1) Search thread
+   ---------------------------- */
+// Moves are sent back in coordinate notation, the form UCI uses
+const report = r => ({
+  depth: r.depth, score: r.score, nodes: r.nodes, nps: r.nps, time: r.time,
+  pv: r.pv.map(moveToCoord)
+});
+
+// searchmoves: the best of the listed moves, from a one-line multi-PV search
+const bestLine = r => ({ ...r, ...r.lines[0] });
+
+if(!isMainThread){
+  parentPort.on('message', ({ state, depth, timeMs, path, searchmoves }) => {
+    const info = r => parentPort.postMessage({ type: 'info', ...report(r) });
+    const moves = searchmoves && genMoves(state).filter(m => searchmoves.includes(moveToCoord(m)));
+    const r = moves?.length
+      ? bestLine(searchLines(state, 1, depth, timeMs, path, r => info(bestLine(r)), moves))
+      : searchBest(state, depth, timeMs, path, info);
+    parentPort.postMessage({ type: 'done', ...report(r) });
+  });
+} else {
+  main();
+}
+
+/* ----------------------------
+   2) Protocol (main thread)
+   ---------------------------- */
+function main(){
+  let position = startPosition(); // null after a bad `position` command
+  let history = [];       // zobrist keys of the positions before `position`
+  let worker = null;      // search thread, created on first `go`
+  let search = null;      // { last, infinite, done, ponder, timer } while a search is running
+  let chess960 = false;   // UCI_Chess960 option
+
+  const send = line => process.stdout.write(line + '\n');
+
+  // "score cp 35" / "score mate 3" / "score mate -2" (moves, not plies)
+  const scoreText = score => {
+    if(Math.abs(score) > MATE - MAX_PLY){
+      const plies = MATE - Math.abs(score);
+      return 'mate ' + (score > 0 ? Math.ceil(plies / 2) : -Math.ceil(plies / 2));
+    }
+    return 'cp ' + score;
+  };
+  const sendInfo = r => send(
+    `info depth ${r.depth} score ${scoreText(r.score)} nodes ${r.nodes} nps ${r.nps} time ${r.time} pv ${r.pv.join(' ')}`
+  );
+
+  const finish = () => {
+    const first = position && genMoves(position)[0];
+    const best = search.last?.pv[0] ?? (first ? moveToCoord(first) : '0000');
+    clearTimeout(search.timer);
+    search = null;
+    send('bestmove ' + best);
+  };
+
+  function startWorker(){
+    worker = new Worker(new URL(import.meta.url));
+    worker.on('message', msg => {
+      if(!search) return; // reply to a search that was already stopped
+      if(msg.depth > 0) search.last = msg;
+      if(msg.type === 'info') sendInfo(msg);
+      else if(search.infinite) search.done = true; // bestmove waits for `stop`
+      else finish();
+    });
+  }
+
+  // The search thread can't read messages mid-search, so `stop` ends it
+  // and answers with the best move of the last completed iteration
+  function stop(){
+    if(!search) return;
+    if(!search.done){ worker.terminate(); worker = null; }
+    finish();
+  }
+
+  function setPosition(args){
+    let i = args.indexOf('moves');
+    if(i < 0) i = args.length;
+    position = args[0] === 'fen' ? fromFEN(args.slice(1, i).join(' ')) : startPosition();
+    if(chess960) position.chess960 = true;
+    history = [];
+    for(const text of args.slice(i + 1)){
+      const m = genMoves(position).find(o => moveToCoord(o) === text);
+      if(!m){ send(`info string illegal move ${text}, ignoring the rest`); break; }
+      history.push(zobrist(position));
+      position = makeMove(position, m);
+    }
+  }
+
+  // How long to think: a fixed movetime, or a share of the clock
+  function timeBudget(o){
+    if(o.movetime) return o.movetime;
+    const left = position.turn === 'w' ? o.wtime : o.btime;
+    if(left == null) return Infinity;
+    const inc = (position.turn === 'w' ? o.winc : o.binc) || 0;
+    return thinkTime(left, inc, o.movestogo || 30);
+  }
+
+  // Pondering searches until `ponderhit` (then the clock applies) or `stop`
+  function go(args){
+    if(search) return;
+    if(!position){ // the last `position` command was rejected
+      send('info string no position to search');
+      send('bestmove 0000');
+      return;
+    }
+    const o = {};
+    for(let i=0; i<args.length; i++){
+      if(args[i] === 'infinite' || args[i] === 'ponder') o[args[i]] = true;
+      else if(args[i] === 'searchmoves'){
+        o.searchmoves = [];
+        while(i + 1 < args.length && !GO_OPTIONS.includes(args[i + 1])) o.searchmoves.push(args[++i]);
+      }
+      else if(i + 1 < args.length) o[args[i]] = +args[++i];
+    }
+    const wait = !!(o.infinite || o.ponder);
+    let timeMs = wait ? Infinity : timeBudget(o);
+    if(o.mate) o.depth = Math.min(o.depth || MAX_DEPTH, 2 * o.mate - 1); // mate in N is 2N-1 plies
+    if(o.nodes){
+      const fallback = timeMs === Infinity && !o.depth && !wait;
+      if(fallback) timeMs = NODES_TIME_MS;
+      send('info string node limits are not supported' + (fallback ? `, searching ${timeMs} ms` : ''));
+    }
+    const depth = Math.min(o.depth || MAX_DEPTH, MAX_DEPTH);
+    if(!worker) startWorker();
+    search = { last: null, infinite: wait, done: false, ponder: o.ponder ? o : null, timer: 0 };
+    worker.postMessage({ state: position, depth, timeMs, path: history, searchmoves: o.searchmoves });
+  }
+
+  function ponderhit(){
+    if(!search?.ponder) return;
+    const budget = timeBudget(search.ponder);
+    search.ponder = null;
+    search.infinite = false;
+    if(search.done) finish();
+    else if(budget < Infinity) search.timer = setTimeout(stop, budget);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', line => {
+    const [cmd, ...args] = line.trim().split(/\s+/);
+    switch(cmd){
+      case 'uci':
+        send('id name Vanilla JS Chess');
+        send('id author vanilla-js-chess contributors');
+        send('option name UCI_Chess960 type check default false');
+        send('uciok');
+        break;
+      case 'isready':    send('readyok'); break;
+      case 'setoption': {
+        const m = line.match(/name\s+(.+?)\s+value\s+(\S+)/);
+        if(m && m[1] === 'UCI_Chess960') chess960 = m[2] === 'true';
+        break;
+      }
+      case 'ucinewgame': stop(); position = startPosition(); history = []; break;
+      case 'position':
+        try { setPosition(args); }
+        catch(err){ position = null; history = []; send('info string bad position: ' + err.message); }
+        break;
+      case 'go':         go(args); break;
+      case 'ponderhit':  ponderhit(); break;
+      case 'stop':       stop(); break;
+      case 'quit':       stop(); process.exit(0);
+      default:           if(cmd) send('info string unknown command ' + cmd);
+    }
+  });
+  rl.on('close', () => { stop(); process.exit(0); });
+}